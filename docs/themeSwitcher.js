@@ -191,7 +191,8 @@ export class ThemeSwitcher {
         // Create new widget
         const select = document.querySelector('#demo-select');
         if (select) {
-            const options = themeModule ? { theme: themeModule } : {};
+            const options = { ...theme.options };
+            if (themeModule) options.theme = themeModule;
             this.currentWidget = new FilteredSelectMultiple(select, options);
         } else {
             console.error('Select element not found!');
@@ -220,8 +221,11 @@ export class ThemeSwitcher {
         if (!codeEl) return;
 
         const themeImport = theme.themeModule ? `, ${theme.themeModule}` : '';
-        const optionBlock = theme.themeModule
-            ? `, {\n  theme: ${theme.themeModule}\n}`
+        const optionLines = Object.entries(theme.options || {})
+            .map(([key, value]) => `  ${key}: ${JSON.stringify(value)}`);
+        if (theme.themeModule) optionLines.unshift(`  theme: ${theme.themeModule}`);
+        const optionBlock = optionLines.length
+            ? `, {\n${optionLines.join(',\n')}\n}`
             : '';
 
         codeEl.textContent = `import { FilteredSelectMultiple${themeImport} } from "filtered-select-multiple-widget";
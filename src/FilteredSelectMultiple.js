@@ -1,107 +1,84 @@
-import { defaultTheme } from "./themes.js";
+import { createTheme, defaultTheme, splitClasses } from "./themes.js";
 import { icons } from "./icons.js";
+import { Listbox } from "./listbox.js";
+import { createMatcher, matchRanges, normalizeText } from "./filter.js";
+import { localeKey, resolveLocale } from "./locales.js";
+import { injectDefaultCSS, styleRoot } from "./styles.js";
+
+let instanceCounter = 0;
+
+/** The widget of each enhanced select. */
+const instances = new WeakMap();
 
 /**
- * Default CSS injected once when the default theme is used.
- * Avoids the need for users to ship a separate .css file.
+ * Group label and position of options moved out of place by reordering, and
+ * the children of each select (and of its groups) before they were moved.
+ * Kept beyond destroy(), so a select enhanced again still knows both.
  */
-const DEFAULT_CSS = `
-.filtered-select-multiple {
-  display: flex;
-  gap: 1rem;
-  align-items: stretch;
-  flex-wrap: wrap;
-}
-.fsm-column {
-  display: flex;
-  flex-direction: column;
-  gap: 0.5rem;
-  min-width: 220px;
-  flex: 1 1 220px;
-}
-.fsm-label {
-  font-weight: 600;
-}
-.fsm-counter {
-  font-size: 0.85em;
-  opacity: 0.7;
-  font-weight: normal;
-}
-.fsm-filter {
-  padding: 0.5rem;
-  border-radius: 6px;
-  border: 1px solid #d0d6e0;
-}
-.fsm-select {
-  min-width: 220px;
-  padding: 0.25rem;
-  border-radius: 6px;
-  border: 1px solid #d0d6e0;
-  background: #fff;
-  flex: 1 1 auto;
-}
-.fsm-controls {
-  display: flex;
-  flex-direction: column;
-  gap: 0.5rem;
-  justify-content: center;
-}
-.fsm-button {
-  display: inline-flex;
-  align-items: center;
-  gap: 0.4em;
-  padding: 0.5rem 0.75rem;
-  border-radius: 6px;
-  border: none;
-  background: #0052cc;
-  color: #fff;
-  cursor: pointer;
-  transition: background 0.2s ease-in-out;
-  white-space: nowrap;
-}
-.fsm-button svg {
-  height: 1.2em;
-  width: auto;
-  flex-shrink: 0;
-}
-.fsm-button:disabled,
-.fsm-button-disabled {
-  cursor: not-allowed;
-  background: #cbd5f5;
-  color: #49526f;
+const optionHomes = new WeakMap();
+const layouts = new WeakMap();
+
+/** Transfer buttons, in their default order. */
+const TRANSFER_ACTIONS = ["addAll", "addGroup", "addSelected", "removeSelected", "removeGroup", "removeAll"];
+const REORDER_ACTIONS = ["moveTop", "moveUp", "moveDown", "moveBottom"];
+
+/** Transfer icons pointing the other way, for right-to-left layouts. */
+const MIRRORED_ICONS = {
+  addAll: "removeAll",
+  addSelected: "removeSelected",
+  addGroup: "removeGroup",
+  removeSelected: "addSelected",
+  removeGroup: "addGroup",
+  removeAll: "addAll",
+};
+
+/** Replace `{name}` placeholders in `template` with values from `vars`. */
+function formatText(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  );
 }
-.fsm-button:not(:disabled):hover {
-  background: #0a66e6;
-}
-.fsm-add-all,
-.fsm-add-selected {
-  justify-content: flex-end;
-}
-.fsm-remove-selected,
-.fsm-remove-all {
-  justify-content: flex-start;
-}
-@media (max-width: 640px) {
-  .filtered-select-multiple {
-    flex-direction: column;
-    align-items: stretch;
+
+/**
+ * Like formatText(), but `template` may also be an object of plural forms
+ * keyed by Intl.PluralRules category (`{ one, other }`), picked by `count`.
+ */
+function formatPlural(template, count, vars, pluralRules) {
+  if (template && typeof template === "object") {
+    template = template[pluralRules.select(count)] ?? template.other;
   }
-  .fsm-controls {
-    flex-direction: row;
-    justify-content: center;
+  return formatText(template ?? "", vars);
+}
+
+/** Plural rules for `lang`, falling back to the default locale for invalid tags. */
+function createPluralRules(lang) {
+  try {
+    return new Intl.PluralRules(lang || undefined);
+  } catch {
+    return new Intl.PluralRules();
   }
 }
-`;
 
-let defaultCssInjected = false;
+/** Whether `element` is laid out right-to-left. */
+function isRtl(element) {
+  const direction = element.ownerDocument.defaultView?.getComputedStyle(element).direction;
+  return direction === "rtl" || element.closest("[dir]")?.getAttribute("dir") === "rtl";
+}
 
-function injectDefaultCSS(doc) {
-  if (defaultCssInjected) return;
-  const style = doc.createElement("style");
-  style.setAttribute("data-fsm-default-theme", "");
-  style.textContent = DEFAULT_CSS;
-  doc.head.appendChild(style);
-  defaultCssInjected = true;
+/** Normalise a single value or an iterable of values to an array of strings. */
+function toValueArray(values) {
+  if (values == null) return [];
+  if (typeof values === "string") return [values];
+  return Array.from(values, String);
+}
+
+/**
+ * Custom property for a `cssVars` key: `colorPrimary` and `color-primary`
+ * become `--fsm-color-primary`, names starting with `--` are kept.
+ */
+function cssVarName(name) {
+  if (name.startsWith("--")) return name;
+  return `--fsm-${name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
 }
 
 /**
@@ -116,48 +93,78 @@ export class FilteredSelectMultiple {
   #abortController = new AbortController();
 
   constructor(selectElement, options = {}) {
-    if (!(selectElement instanceof HTMLSelectElement) || !selectElement.multiple) {
+    // Compare tag names rather than `instanceof`: selects of iframes and other
+    // documents come from another window's HTMLSelectElement
+    if (selectElement?.localName !== "select" || !selectElement.multiple) {
       throw new Error("FilteredSelectMultiple requires a <select multiple> element");
     }
 
+    // One widget per select: hand back the existing one instead of stacking
+    // a second UI on top of it (its options stay as they were)
+    const existing = instances.get(selectElement);
+    if (existing) return existing;
+
     this.selectElement = selectElement;
     this.doc = selectElement.ownerDocument;
 
     // Merge the provided theme on top of defaults so missing keys are filled.
-    this.theme = { ...defaultTheme, ...(options.theme ?? {}) };
+    this.theme = createTheme(defaultTheme, options.theme ?? {});
 
-    // Always inject default CSS — its .fsm-* selectors won't collide with
-    // framework themes that use their own class names.
-    injectDefaultCSS(this.doc);
+    // Inject the default CSS into the document or shadow root of the select
+    // (its .fsm-* selectors won't collide with framework themes that use their
+    // own class names), unless the page ships its own
+    if (options.injectCSS ?? true) {
+      injectDefaultCSS(styleRoot(selectElement), { nonce: options.nonce });
+    }
 
     const optionCount = selectElement.options.length;
     this.showFilter = options.showFilter ?? true;
     this.filterMatchMode = options.filterMatchMode ?? "contains";
+    this.filterFunction = options.filterFunction ?? null;
+    this.foldDiacritics = options.foldDiacritics ?? true;
+    this.highlightMatches = options.highlightMatches ?? false;
+    this.renderItem = options.renderItem ?? null;
+    this.itemTemplate = options.itemTemplate ?? null;
+    // Button icons: the built-in set with per-action overrides, or none
+    this.icons = options.icons === false ? null : { ...icons, ...(options.icons ?? {}) };
+    this.iconOnly = (options.iconOnly ?? false) && this.icons !== null;
+    // Transfer buttons in display order; custom ones are kept by action name
+    this._customControls = new Map();
+    this.controls = this._parseControls(options.controls ?? TRANSFER_ACTIONS);
     this.size = options.size ?? (selectElement.size || Math.min(Math.max(optionCount, 4), 12));
-    this.preserveSelectionOrder = options.preserveSelectionOrder ?? false;
-
-    // Text / labels
-    const textDefaults = {
-      availableLabel: "Available",
-      chosenLabel: "Chosen",
-      filterPlaceholder: "Filter",
-      addAll: "Add all",
-      addSelected: "Add selected",
-      removeSelected: "Remove selected",
-      removeAll: "Remove all",
-    };
+    this.source = options.source ?? null;
+    this.sourcePageSize = options.sourcePageSize ?? 50;
+    this.reorderable = options.reorderable ?? false;
+    this.dragAndDrop = options.dragAndDrop ?? false;
+    // Remote results have no meaningful document order, and a reorderable
+    // list keeps the user's order, so both imply insertion order.
+    this.preserveSelectionOrder =
+      (options.preserveSelectionOrder ?? false) || Boolean(this.source) || this.reorderable;
+    this.observe = options.observe ?? false;
+    this.minChosen = options.minChosen ?? 0;
+    this.maxChosen = options.maxChosen ?? null;
+    this.virtualize = options.virtualize ?? false;
+    this.itemHeight = options.itemHeight ?? null;
+    // Readonly shows only the chosen list; the `readonly` attribute of the
+    // select turns it on as well
+    this.readonlyOption = options.readonly ?? false;
+    this.readonly = false;
+    this.disabled = false;
+    // Per-instance values of the `--fsm-*` custom properties
+    this.cssVars = options.cssVars ?? null;
+
+    // Text / labels: the locale pack, overridden by `text`
+    this.locale = options.locale ?? "en";
+    const textDefaults = resolveLocale(this.locale);
     this.text = { ...textDefaults, ...(options.text || {}) };
 
     // Auto-detect labels from an associated <label> element
-    if (
-      this.text.availableLabel === textDefaults.availableLabel &&
-      this.text.chosenLabel === textDefaults.chosenLabel
-    ) {
+    if (options.text?.availableLabel === undefined && options.text?.chosenLabel === undefined) {
       const label = this.doc.querySelector(`label[for="${selectElement.id}"]`);
       if (label) {
         const baseLabel = label.textContent.trim();
-        this.text.availableLabel = `Available ${baseLabel}`;
-        this.text.chosenLabel = `Chosen ${baseLabel}`;
+        this.text.availableLabel = formatText(this.text.availableLabelPattern, { label: baseLabel });
+        this.text.chosenLabel = formatText(this.text.chosenLabelPattern, { label: baseLabel });
       }
     }
 
@@ -165,10 +172,34 @@ export class FilteredSelectMultiple {
     this.text.availableFilterPlaceholder = this.text.availableFilterPlaceholder ?? fallbackFilter;
     this.text.chosenFilterPlaceholder = this.text.chosenFilterPlaceholder ?? fallbackFilter;
 
+    // Plural forms follow the pack the text came from. Only the caller's own
+    // text, without a locale, is taken to be in the page language.
+    const ownText = options.locale === undefined && Object.keys(options.text ?? {}).length > 0;
+    this._pluralRules = createPluralRules(ownText ? selectElement.closest("[lang]")?.lang : localeKey(this.locale));
+    // Mirror the arrows (icons and keys) when the page is laid out right-to-left
+    this.rtl = isRtl(selectElement);
+
     // Internal state
     this.options = new Map();
     this.available = [];
     this.chosen = [];
+    this.hasGroups = false;
+
+    // Prefix of the element ids of this instance
+    this._id = `fsm-${++instanceCounter}`;
+    // Filter term each pane last announced results for
+    this._announcedTerms = { available: "", chosen: "" };
+    this._announceTimer = 0;
+
+    // Stable key per original <option>, so state survives refresh()
+    this._optionKeys = new WeakMap();
+    this._keySeq = 0;
+    this._searchCache = new WeakMap();
+    this._observer = null;
+    this._stateObserver = null;
+
+    // Paging state of the remote `source`
+    this._remote = { offset: 0, hasMore: false, loading: false, controller: null };
 
     // UI element references
     this.container = null;
@@ -178,10 +209,18 @@ export class FilteredSelectMultiple {
     this.chosenFilter = null;
     this.availableCounter = null;
     this.chosenCounter = null;
+    this.feedback = null;
     this.buttons = {};
+    // Class attributes per button action, see _buttonClassNames()
+    this._buttonClasses = new Map();
+    // Listbox instances per pane type, used instead of native selects when
+    // rendering needs full control over the rows (see _usesListbox)
+    this._lists = { available: null, chosen: null };
 
     // Filter debounce timer ids
     this._filterTimers = { available: 0, chosen: 0 };
+    // Filter term each pane was last rendered with
+    this._terms = { available: "", chosen: "" };
 
     this._init();
   }
@@ -199,36 +238,175 @@ export class FilteredSelectMultiple {
     this.selectElement.parentNode.insertBefore(this.placeholder, this.selectElement);
     this._buildUI();
     this._attachEvents();
+    this._observeOriginal();
     this._render();
+    this._applyState();
+    if (this.source) this._loadSource();
+    instances.set(this.selectElement, this);
+    this._emit("ready", { widget: this });
   }
 
+  /**
+   * (Re)derive the option map and both lists from the original <select>.
+   * The original options' `selected` state is the source of truth — transfers
+   * are synced to it — so calling this again keeps the user's choices.
+   */
   _buildState() {
     const options = Array.from(this.selectElement.options);
+    const previousOptions = this.options;
+    const previousChosen = this.chosen;
+    const available = [];
+    const chosen = [];
+
+    this.options = new Map();
+    this.hasGroups = false;
 
     options.forEach((option, index) => {
-      const key = `fsm-${index}`;
+      // With a remote source the available pane is filled by the source;
+      // only the chosen options are read from the original select.
+      if (this.source && !option.selected) return;
+
+      let key = this._optionKeys.get(option);
+      if (!key) {
+        key = `fsm-${this._keySeq++}`;
+        this._optionKeys.set(option, key);
+      }
+      const home = optionHomes.get(option);
+      const group = option.parentElement?.localName === "optgroup"
+        ? option.parentElement.label
+        : home?.group ?? null;
+      if (group !== null) this.hasGroups = true;
+
       this.options.set(key, {
         key,
-        index,
+        index: home?.index ?? index,
         value: option.value,
         label: option.text,
+        group,
         disabled: option.disabled,
         dataset: { ...option.dataset },
         title: option.title,
         original: option,
+        created: previousOptions.get(key)?.created ?? false,
       });
 
       if (option.selected) {
-        this.chosen.push(key);
+        chosen.push(key);
       } else {
-        this.available.push(key);
+        available.push(key);
       }
     });
 
-    this._sortByIndex(this.available);
-    if (!this.preserveSelectionOrder) {
-      this._sortByIndex(this.chosen);
+    if (this.preserveSelectionOrder && previousChosen.length > 0) {
+      // Keep the order of items that were already chosen; newly selected
+      // options are appended in document order.
+      const chosenSet = new Set(chosen);
+      const kept = previousChosen.filter((key) => chosenSet.has(key));
+      const keptSet = new Set(kept);
+      chosen.splice(0, chosen.length, ...kept, ...chosen.filter((key) => !keptSet.has(key)));
+    }
+
+    if (this.source) {
+      // Results loaded from the source stay available unless they were chosen
+      // in the meantime.
+      const chosenValues = new Set(chosen.map((key) => this.options.get(key).value));
+      previousOptions.forEach((meta) => {
+        if (meta.original || chosenValues.has(meta.value)) return;
+        this.options.set(meta.key, meta);
+        available.push(meta.key);
+      });
+      this._sortByIndex(available);
+    }
+
+    this.available = available;
+    this.chosen = chosen;
+  }
+
+  /** Watch the original <select> for option changes when `observe` is set. */
+  _observeOriginal() {
+    // disabled/required/readonly are mirrored with or without `observe`
+    this._stateObserver = new MutationObserver(() => this._applyState());
+    this._stateObserver.observe(this.selectElement, {
+      attributes: true,
+      attributeFilter: ["disabled", "required", "readonly"],
+    });
+
+    if (!this.observe) return;
+    this._observer = new MutationObserver(() => this.refresh());
+    this._observer.observe(this.selectElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ["selected", "disabled", "label", "value", "title"],
+    });
+  }
+
+  /**
+   * Mirror the disabled, readonly and required state of the original select
+   * onto the widget.
+   */
+  _applyState() {
+    // :disabled also covers a disabled <fieldset> around the select
+    this.disabled = this.selectElement.matches(":disabled");
+    this.readonly = this.readonlyOption || this.selectElement.hasAttribute("readonly");
+
+    ["available", "chosen"].forEach((type) => {
+      const list = this._lists[type];
+      if (list) list.disabled = this.disabled;
+      else (type === "available" ? this.availableSelect : this.chosenSelect).disabled = this.disabled;
+      const filter = type === "available" ? this.availableFilter : this.chosenFilter;
+      if (filter) filter.disabled = this.disabled;
+    });
+
+    splitClasses(this.theme.containerDisabled).forEach((cls) => this.container.classList.toggle(cls, this.disabled));
+
+    // Readonly leaves only the chosen pane
+    [this._columns.available, this._controls, this._reorderControls].forEach((el) => {
+      if (el) el.style.display = this.readonly ? "none" : "";
+    });
+
+    if (this.selectElement.required) {
+      this.chosenSelect.setAttribute("aria-required", "true");
+    } else {
+      this.chosenSelect.removeAttribute("aria-required");
     }
+    this.chosenSelect.setAttribute("aria-readonly", String(this.readonly));
+
+    this._updateButtons();
+    this._updateValidity();
+  }
+
+  /** Whether a user action is blocked by the disabled or readonly state. */
+  _locked(action) {
+    return action !== "api" && (this.disabled || this.readonly);
+  }
+
+  /** Whether the panes render as ARIA listboxes instead of native selects. */
+  _usesListbox() {
+    // Native <option>s can neither be dragged nor contain markup
+    return this.virtualize || this.reorderable || this.dragAndDrop || this.highlightMatches ||
+      Boolean(this.renderItem || this.itemTemplate);
+  }
+
+  /**
+   * Insert `keys` into the index-sorted array `target` in one linear merge,
+   * instead of re-sorting the whole array.
+   */
+  _mergeByIndex(target, keys) {
+    const indexOf = (key) => this.options.get(key)?.index ?? Number.MAX_SAFE_INTEGER;
+    const incoming = [...keys].sort((a, b) => indexOf(a) - indexOf(b));
+    const merged = new Array(target.length + incoming.length);
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (i < target.length && j < incoming.length) {
+      merged[k++] = indexOf(target[i]) <= indexOf(incoming[j]) ? target[i++] : incoming[j++];
+    }
+    while (i < target.length) merged[k++] = target[i++];
+    while (j < incoming.length) merged[k++] = incoming[j++];
+    target.length = 0;
+    merged.forEach((key) => target.push(key));
   }
 
   _sortByIndex(keys) {
@@ -246,6 +424,9 @@ export class FilteredSelectMultiple {
   _buildUI() {
     this.container = this.doc.createElement("div");
     this.container.className = this.theme.container;
+    Object.entries(this.cssVars ?? {}).forEach(([name, value]) => {
+      this.container.style.setProperty(cssVarName(name), String(value));
+    });
 
     const availablePane = this._createPane({
       type: "available",
@@ -253,6 +434,7 @@ export class FilteredSelectMultiple {
       filterPlaceholder: this.text.availableFilterPlaceholder,
     });
     this.availableSelect = availablePane.select;
+    this._lists.available = availablePane.list;
     this.availableFilter = availablePane.filter;
     this.availableCounter = availablePane.counter;
 
@@ -264,10 +446,33 @@ export class FilteredSelectMultiple {
       filterPlaceholder: this.text.chosenFilterPlaceholder,
     });
     this.chosenSelect = chosenPane.select;
+    this._lists.chosen = chosenPane.list;
+
+    // Validation message for minChosen/maxChosen, shown after the original
+    // select was reported invalid
+    this.feedback = this.doc.createElement("div");
+    this.feedback.className = this.theme.feedback;
+    this.feedback.setAttribute("aria-live", "polite");
+    this.feedback.id = `${this._id}-feedback`;
+    this.chosenSelect.setAttribute("aria-describedby", this.feedback.id);
+    chosenPane.column.appendChild(this.feedback);
     this.chosenFilter = chosenPane.filter;
     this.chosenCounter = chosenPane.counter;
 
+    // Visually hidden region announcing transfers and filter results
+    this.liveRegion = this.doc.createElement("div");
+    this.liveRegion.className = this.theme.liveRegion;
+    this.liveRegion.setAttribute("role", "status");
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("aria-atomic", "true");
+
+    this._columns = { available: availablePane.column, chosen: chosenPane.column };
+    this._controls = controls;
+    this._reorderControls = this.reorderable ? this._createReorderControls() : null;
+
     this.container.append(availablePane.column, controls, chosenPane.column);
+    if (this._reorderControls) this.container.append(this._reorderControls);
+    this.container.append(this.liveRegion);
     this.placeholder.parentNode.insertBefore(this.container, this.placeholder);
   }
 
@@ -279,7 +484,7 @@ export class FilteredSelectMultiple {
       (isAvailable ? this.theme.availableColumn : this.theme.chosenColumn);
 
     // Unique ids for aria relationships
-    const labelId = `fsm-label-${type}-${Date.now()}`;
+    const labelId = `${this._id}-label-${type}`;
 
     // Label + counter
     const labelEl = this.doc.createElement("div");
@@ -291,7 +496,6 @@ export class FilteredSelectMultiple {
 
     const counter = this.doc.createElement("span");
     counter.className = this.theme.counter;
-    counter.setAttribute("aria-live", "polite");
     labelEl.appendChild(counter);
 
     column.appendChild(labelEl);
@@ -304,53 +508,163 @@ export class FilteredSelectMultiple {
       filter.className = this.theme.filter;
       filter.placeholder = filterPlaceholder;
       filter.dataset.paneType = type;
-      filter.setAttribute("aria-label", `${filterPlaceholder} ${label}`);
+      filter.setAttribute(
+        "aria-label",
+        formatText(this.text.filterLabel, { placeholder: filterPlaceholder, pane: label }),
+      );
       column.appendChild(filter);
     }
 
-    // Select element
-    const select = this.doc.createElement("select");
-    select.multiple = true;
-    select.size = this.size;
-    select.className = this.theme.select;
+    // Select element, or a listbox with the same role in the layout
+    let select;
+    let list = null;
+    if (this._usesListbox()) {
+      const reorderable = this.reorderable && !isAvailable;
+      list = new Listbox(this.doc, {
+        size: this.size,
+        virtual: this.virtualize,
+        rowHeight: this.itemHeight,
+        draggable: reorderable || this.dragAndDrop,
+        // Drops come from the other pane (transfer) or, for a reorderable
+        // chosen pane, from the pane itself (reorder)
+        canDrop: (source) => source === list
+          ? reorderable
+          : this.dragAndDrop && source === this._lists[isAvailable ? "chosen" : "available"],
+        onDrop: ({ keys, source, beforeKey }) => this._onListDrop(type, keys, source === list, beforeKey),
+        renderRow: (entry, row) => this._renderRow(type, entry, row),
+        classes: {
+          listbox: this.theme.listbox,
+          option: this.theme.listboxOption,
+          selected: this.theme.listboxOptionSelected,
+          active: this.theme.listboxOptionActive,
+          disabled: this.theme.listboxOptionDisabled,
+          group: this.theme.listboxGroup,
+          dropBefore: this.theme.listboxDropBefore,
+          dropAfter: this.theme.listboxDropAfter,
+          dropTarget: this.theme.dropTarget,
+        },
+      });
+      select = list.el;
+    } else {
+      select = this.doc.createElement("select");
+      select.multiple = true;
+      select.size = this.size;
+      select.className = this.theme.select;
+    }
     select.dataset.paneType = type;
     select.setAttribute("aria-labelledby", labelId);
     column.appendChild(select);
 
-    return { column, select, filter, counter };
+    return { column, select, list, filter, counter };
   }
 
   _createControls() {
     const column = this.doc.createElement("div");
     column.className = this.theme.controls;
     column.setAttribute("role", "group");
-    column.setAttribute("aria-label", "Transfer controls");
-
-    const buttonDefs = [
-      { action: "addAll", label: this.text.addAll, icon: icons.addAll },
-      { action: "addSelected", label: this.text.addSelected, icon: icons.addSelected },
-      { action: "removeSelected", label: this.text.removeSelected, icon: icons.removeSelected },
-      { action: "removeAll", label: this.text.removeAll, icon: icons.removeAll },
-    ];
-
-    buttonDefs.forEach(({ action, label, icon }) => {
-      const button = this.doc.createElement("button");
-      button.type = "button";
-      const actionKey = `button${action.charAt(0).toUpperCase()}${action.slice(1)}`;
-      const actionClass = this.theme[actionKey] || "";
-      button.className = (this.theme.button + " " + actionClass).trim();
-      button.setAttribute("aria-label", label);
+    column.setAttribute("aria-label", this.text.controlsLabel);
+
+    this.controls
+      .filter((action) => this.hasGroups || (action !== "addGroup" && action !== "removeGroup"))
+      .forEach((action) => {
+        const custom = this._customControls.get(action);
+        const button = custom
+          ? this._createButton(action, custom.label, this._icon(action), custom.iconFirst ?? true)
+          : this._createButton(action, this.text[action], this._icon(action), action.startsWith("remove"));
+        column.appendChild(button);
+      });
+
+    return column;
+  }
+
+  /**
+   * Action names of the `controls` option. Entries are built-in transfer
+   * actions or custom buttons `{ action, label, onClick, ... }`, which are
+   * registered in `_customControls`. Repeated actions are dropped with a
+   * warning, as each action has a single button.
+   */
+  _parseControls(controls) {
+    const actions = [];
+    for (const control of controls) {
+      let action = control;
+      if (typeof control === "string") {
+        if (!TRANSFER_ACTIONS.includes(control)) {
+          throw new Error(`FilteredSelectMultiple: unknown control "${control}"`);
+        }
+      } else {
+        const { label, onClick } = control ?? {};
+        action = control?.action;
+        if (!action || [...TRANSFER_ACTIONS, ...REORDER_ACTIONS].includes(action) ||
+            typeof label !== "string" || typeof onClick !== "function") {
+          throw new Error("FilteredSelectMultiple: custom controls need a new `action` name, a `label` and an `onClick` function");
+        }
+      }
+      if (actions.includes(action)) {
+        console.warn(`FilteredSelectMultiple: ignoring duplicate control "${action}"`);
+        continue;
+      }
+      if (action !== control) this._customControls.set(action, control);
+      actions.push(action);
+    }
+    return actions;
+  }
 
-      const isRemove = action.startsWith("remove");
-      button.innerHTML = isRemove ? `${icon} ${label}` : `${label} ${icon}`;
-      button.dataset.action = action;
-      this.buttons[action] = button;
-      column.appendChild(button);
+  /**
+   * Icon of a button (markup, factory or null), mirrored in right-to-left
+   * layouts. `icons: false` leaves every button, custom ones included, text-only.
+   */
+  _icon(action) {
+    if (!this.icons) return null;
+    const custom = this._customControls.get(action);
+    if (custom) return custom.icon ?? null;
+    return this.icons[this.rtl ? MIRRORED_ICONS[action] ?? action : action] ?? null;
+  }
+
+  /** An icon as a node: markup is parsed, factories are called with the action. */
+  _renderIcon(icon, action) {
+    const result = typeof icon === "function" ? icon(action, { rtl: this.rtl }) : icon;
+    if (!result) return null;
+    if (typeof result !== "string") return result;
+    const template = this.doc.createElement("template");
+    template.innerHTML = result.trim();
+    return template.content;
+  }
+
+  /** Up/down/top/bottom buttons next to the chosen pane. */
+  _createReorderControls() {
+    const column = this.doc.createElement("div");
+    column.className = this.theme.reorderControls;
+    column.setAttribute("role", "group");
+    column.setAttribute("aria-label", this.text.reorderControlsLabel);
+
+    REORDER_ACTIONS.forEach((action) => {
+      column.appendChild(this._createButton(action, this.text[action], this._icon(action), true));
     });
 
     return column;
   }
 
+  _createButton(action, label, icon, iconFirst) {
+    const button = this.doc.createElement("button");
+    button.type = "button";
+    button.className = this._buttonClassNames(action).enabled;
+    button.setAttribute("aria-label", label);
+
+    const iconNode = this._renderIcon(icon, action);
+    if (iconNode && this.iconOnly) {
+      // The text moves to the tooltip; aria-label keeps it as the accessible name
+      button.title = label;
+      button.append(iconNode);
+    } else if (iconNode) {
+      button.append(...(iconFirst ? [iconNode, ` ${label}`] : [`${label} `, iconNode]));
+    } else {
+      button.textContent = label;
+    }
+    button.dataset.action = action;
+    this.buttons[action] = button;
+    return button;
+  }
+
   // ---------------------------------------------------------------------------
   // Events
   // ---------------------------------------------------------------------------
@@ -358,6 +672,9 @@ export class FilteredSelectMultiple {
   _attachEvents() {
     const signal = this.#abortController.signal;
 
+    this._lists.available?.listen(signal);
+    this._lists.chosen?.listen(signal);
+
     if (this.availableFilter) {
       this.availableFilter.addEventListener("input", () => this._debouncedRender("available"), { signal });
     }
@@ -366,38 +683,282 @@ export class FilteredSelectMultiple {
     }
 
     this.availableSelect.addEventListener("change", () => this._updateButtons(), { signal });
+    this.availableSelect.addEventListener("scroll", () => this._onAvailableScroll(), { signal });
     this.chosenSelect.addEventListener("change", () => this._updateButtons(), { signal });
 
-    this.availableSelect.addEventListener("dblclick", () => {
-      if (!this.availableSelect.disabled) this._moveSelected("available", "chosen");
-    }, { signal });
-    this.chosenSelect.addEventListener("dblclick", () => {
-      if (!this.chosenSelect.disabled) this._moveSelected("chosen", "available");
+    // The original select is hidden, so the browser cannot show its
+    // validation bubble: show the message in the widget and focus the pane
+    // the user has to act on instead.
+    this.selectElement.addEventListener("invalid", () => {
+      this.feedback.textContent = this.selectElement.validationMessage;
+      const needed = Math.max(this.minChosen, this.selectElement.required ? 1 : 0);
+      const target = this.chosen.length < needed && !this.readonly ? this.availableSelect : this.chosenSelect;
+      target.focus();
     }, { signal });
 
-    // Keyboard shortcut: Enter to transfer selected items
-    this.availableSelect.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") { e.preventDefault(); this._moveSelected("available", "chosen"); }
-    }, { signal });
-    this.chosenSelect.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") { e.preventDefault(); this._moveSelected("chosen", "available"); }
+    // The form restores the options' default selection only after its
+    // `reset` event, so follow once that is done (unless it was cancelled)
+    this.selectElement.form?.addEventListener("reset", (e) => {
+      setTimeout(() => {
+        if (!signal.aborted && !e.defaultPrevented) this.reset();
+      });
     }, { signal });
 
+    // Double-click transfers the highlighted items, or the whole group when it
+    // hits an <optgroup> label (in browsers that report the optgroup as event
+    // target; others fall back to the buttons) or a listbox group header.
+    [["available", "chosen"], ["chosen", "available"]].forEach(([fromType, toType]) => {
+      const select = fromType === "available" ? this.availableSelect : this.chosenSelect;
+      select.addEventListener("dblclick", (e) => {
+        if (select.disabled) return;
+        const header = e.target.closest?.("[data-group-label]");
+        if (e.target.localName === "optgroup") {
+          this._moveGroups([e.target.label], fromType, toType, "dblclick");
+        } else if (header) {
+          this._moveGroups([header.dataset.groupLabel], fromType, toType, "dblclick");
+        } else {
+          this._moveSelected(fromType, toType, "dblclick");
+        }
+      }, { signal });
+    });
+
+    // Keyboard model of the panes (see _onPaneKeydown)
+    [["available", "chosen"], ["chosen", "available"]].forEach(([fromType, toType]) => {
+      const select = fromType === "available" ? this.availableSelect : this.chosenSelect;
+      select.addEventListener("keydown", (e) => this._onPaneKeydown(e, fromType, toType), { signal });
+    });
+
+    // Arrow Down moves from a filter into its list, Escape clears the filter
+    [["available", this.availableFilter], ["chosen", this.chosenFilter]].forEach(([type, filter]) => {
+      filter?.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown") {
+          e.preventDefault();
+          this._focusPane(type);
+        } else if (e.key === "Escape" && filter.value !== "") {
+          // Don't let an enclosing dialog close as well
+          e.preventDefault();
+          e.stopPropagation();
+          this._clearFilter(type);
+        }
+      }, { signal });
+    });
+
+    // Alt+Arrow Up/Down and Alt+Home/End reorder the chosen list
+    if (this.reorderable) {
+      const directions = { ArrowUp: "up", ArrowDown: "down", Home: "top", End: "bottom" };
+      this.chosenSelect.addEventListener("keydown", (e) => {
+        if (!e.altKey || !directions[e.key]) return;
+        e.preventDefault();
+        this._reorderSelected(directions[e.key], "keyboard");
+      }, { signal });
+    }
+
     Object.entries(this.buttons).forEach(([action, button]) => {
-      button.addEventListener("click", () => {
-        switch (action) {
-          case "addAll": this._moveAll("available", "chosen"); break;
-          case "addSelected": this._moveSelected("available", "chosen"); break;
-          case "removeSelected": this._moveSelected("chosen", "available"); break;
-          case "removeAll": this._moveAll("chosen", "available"); break;
+      button.addEventListener("click", (e) => {
+        this._runButton(action, e);
+        if (this._customControls.has(action)) return;
+        // A button that disabled itself loses focus; hand it to a pane
+        const focused = this.doc.activeElement;
+        if (button.disabled && (focused === button || focused === this.doc.body || !focused)) {
+          const [fromType, toType] = action.startsWith("add") ? ["available", "chosen"]
+            : action.startsWith("remove") ? ["chosen", "available"]
+            : ["chosen", "chosen"];
+          this._focusPane(this._visibleKeys(fromType).length > 0 ? fromType : toType);
         }
       }, { signal });
     });
   }
 
+  _runButton(action, event) {
+    switch (action) {
+      case "addAll": this._moveAll("available", "chosen", "button"); break;
+      case "addSelected": this._moveSelected("available", "chosen", "button"); break;
+      case "addGroup": this._moveSelectedGroups("available", "chosen", "button"); break;
+      case "removeSelected": this._moveSelected("chosen", "available", "button"); break;
+      case "removeGroup": this._moveSelectedGroups("chosen", "available", "button"); break;
+      case "removeAll": this._moveAll("chosen", "available", "button"); break;
+      case "moveTop": this._reorderSelected("top", "button"); break;
+      case "moveUp": this._reorderSelected("up", "button"); break;
+      case "moveDown": this._reorderSelected("down", "button"); break;
+      case "moveBottom": this._reorderSelected("bottom", "button"); break;
+      default: this._customControls.get(action)?.onClick(this, event);
+    }
+  }
+
+  /**
+   * Keys of a pane, shared by select and listbox mode:
+   * Enter / Arrow towards the other pane transfer the selected items,
+   * Shift+Arrow Right/Left add all / remove all, Ctrl+Arrow towards the other
+   * pane focuses it, Ctrl+A selects all visible items and Escape clears the
+   * pane's filter. Alt combinations are left to reordering.
+   */
+  _onPaneKeydown(e, fromType, toType) {
+    if (e.altKey || e.currentTarget.disabled) return;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const horizontal = e.key === "ArrowRight" || e.key === "ArrowLeft";
+    // Arrows point at the panes as laid out, which mirrors in RTL
+    const addKey = this.rtl ? "ArrowLeft" : "ArrowRight";
+    const towards = fromType === "available" ? addKey : (this.rtl ? "ArrowRight" : "ArrowLeft");
+    const filter = fromType === "available" ? this.availableFilter : this.chosenFilter;
+
+    if (e.key === "Enter") {
+      this._moveSelected(fromType, toType, "enter");
+    } else if (horizontal && ctrl) {
+      if (e.key !== towards) return;
+      this._focusPane(toType);
+    } else if (horizontal && e.shiftKey) {
+      // Only while the matching button is offered (see the `controls` option)
+      const action = e.key === addKey ? "addAll" : "removeAll";
+      if (!this.controls.includes(action)) return;
+      if (action === "addAll") this._moveAll("available", "chosen", "keyboard");
+      else this._moveAll("chosen", "available", "keyboard");
+    } else if (e.key === towards) {
+      this._moveSelected(fromType, toType, "keyboard");
+    } else if (ctrl && e.key.toLowerCase() === "a" && !this._lists[fromType]) {
+      // Listboxes handle Ctrl+A themselves; not every browser does for selects
+      Array.from(e.currentTarget.options, (option) => { option.selected = !option.disabled; });
+      this._updateButtons();
+    } else if (e.key === "Escape" && filter && filter.value !== "") {
+      this._clearFilter(fromType);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  /** Focus a pane, highlighting its first enabled item if none is highlighted. */
+  _focusPane(type) {
+    if (this._getSelectedKeys(type).length === 0) {
+      const first = this._visibleKeys(type).find((key) => !this.options.get(key).disabled);
+      if (first) this._selectOnly(type, first);
+    }
+    (type === "available" ? this.availableSelect : this.chosenSelect).focus();
+  }
+
+  /** Keys of the items a pane currently shows, in display order. */
+  _visibleKeys(type) {
+    const list = this._lists[type];
+    if (list) return list.getKeys();
+    const select = type === "available" ? this.availableSelect : this.chosenSelect;
+    return Array.from(select.options, (opt) => opt.dataset.key);
+  }
+
+  /** Highlight exactly one item of a pane, as if the user had clicked it. */
+  _selectOnly(type, key) {
+    const list = this._lists[type];
+    if (list) {
+      list.moveTo(key);
+      return;
+    }
+    const select = type === "available" ? this.availableSelect : this.chosenSelect;
+    Array.from(select.options, (opt) => { opt.selected = opt.dataset.key === key; });
+    this._updateButtons();
+  }
+
   _debouncedRender(type) {
     clearTimeout(this._filterTimers[type]);
-    this._filterTimers[type] = setTimeout(() => this._renderPane(type), 120);
+    this._filterTimers[type] = setTimeout(() => this._applyFilter(type), 120);
+  }
+
+  _applyFilter(type) {
+    if (type === "available" && this.source) {
+      this._loadSource();
+    } else {
+      const { visible, total } = this._renderPane(type);
+      const filter = type === "available" ? this.availableFilter : this.chosenFilter;
+      this._emit("filter", { pane: type, term: filter ? filter.value.trim() : "", visible, total });
+    }
+  }
+
+  _clearFilter(type) {
+    const filter = type === "available" ? this.availableFilter : this.chosenFilter;
+    filter.value = "";
+    clearTimeout(this._filterTimers[type]);
+    this._applyFilter(type);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Remote source
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Query `options.source` with the available filter text. A new query
+   * replaces the available list; `append` loads the next page. Any request
+   * still in flight is aborted.
+   */
+  async _loadSource({ append = false } = {}) {
+    const query = this.availableFilter ? this.availableFilter.value.trim() : "";
+    const offset = append ? this._remote.offset : 0;
+
+    this._remote.controller?.abort();
+    const controller = new AbortController();
+    this._remote.controller = controller;
+    this._remote.loading = true;
+    this.availableSelect.setAttribute("aria-busy", "true");
+
+    try {
+      const result = await this.source(query, {
+        offset,
+        limit: this.sourcePageSize,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+
+      const items = result?.items ?? [];
+      this._applySourceItems(items, { append, offset });
+      this._remote.offset = offset + items.length;
+      this._remote.hasMore = Boolean(result?.hasMore);
+      const { visible, total } = this._renderPane("available");
+      if (!append) this._emit("filter", { pane: "available", term: query, visible, total });
+    } catch (error) {
+      if (error?.name !== "AbortError") {
+        this._emit("error", { error, query, offset });
+      }
+    } finally {
+      if (this._remote.controller === controller) {
+        this._remote.controller = null;
+        this._remote.loading = false;
+        this.availableSelect.removeAttribute("aria-busy");
+      }
+    }
+  }
+
+  _applySourceItems(items, { append, offset }) {
+    if (!append) {
+      this.available.forEach((key) => this.options.delete(key));
+      this.available.splice(0, this.available.length);
+    }
+
+    const chosenValues = new Set(this.getValue());
+    items.forEach((item, i) => {
+      const value = String(item.value);
+      if (chosenValues.has(value)) return;
+
+      const key = `fsm-${this._keySeq++}`;
+      this.options.set(key, {
+        key,
+        index: offset + i,
+        value,
+        label: item.label ?? value,
+        group: item.group ?? null,
+        disabled: Boolean(item.disabled),
+        dataset: { ...(item.dataset ?? {}) },
+        title: item.title ?? "",
+        original: null,
+        created: false,
+      });
+      this.available.push(key);
+    });
+  }
+
+  /** Load the next page once the available list is scrolled near its end. */
+  _onAvailableScroll() {
+    if (!this.source || !this._remote.hasMore || this._remote.loading) return;
+    const select = this.availableSelect;
+    const threshold = select.clientHeight / 2;
+    if (select.scrollTop + select.clientHeight >= select.scrollHeight - threshold) {
+      this._loadSource({ append: true });
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -408,14 +969,202 @@ export class FilteredSelectMultiple {
     this._renderPane("available");
     this._renderPane("chosen");
     this._updateButtons();
+    this._updateValidity();
   }
 
   _renderPane(type) {
-    const select = type === "available" ? this.availableSelect : this.chosenSelect;
     const filter = type === "available" ? this.availableFilter : this.chosenFilter;
     const counter = type === "available" ? this.availableCounter : this.chosenCounter;
     const keys = type === "available" ? this.available : this.chosen;
-    const term = filter ? filter.value.trim().toLowerCase() : "";
+    // Remote results are already filtered by the source
+    const isRemote = type === "available" && Boolean(this.source);
+    const term = filter && !isRemote ? filter.value.trim() : "";
+    this._terms[type] = isRemote && filter ? filter.value.trim() : term;
+
+    let visible = keys.filter((key) => this.options.has(key));
+    if (term) {
+      const matcher = this._createFilterMatcher(term);
+      const scores = new Map();
+      visible = visible.filter((key) => {
+        const score = matcher(this.options.get(key));
+        scores.set(key, score);
+        return score > 0;
+      });
+      // Best matches first (Array#sort is stable, ties keep list order)
+      if (this.filterMatchMode === "fuzzy") {
+        visible.sort((a, b) => scores.get(b) - scores.get(a));
+      }
+    }
+    // A reorderable chosen list is drawn flat: grouping it by label would
+    // show another order than the one that is submitted
+    const blocks = type === "chosen" && this.reorderable
+      ? [{ group: null, keys: visible }]
+      : this._groupKeys(visible);
+
+    if (this._lists[type]) {
+      this._renderList(type, blocks);
+    } else {
+      this._renderSelect(type, blocks);
+    }
+
+    // Update counter
+    if (counter) {
+      const more = isRemote && this._remote.hasMore ? "+" : "";
+      const vars = { visible: visible.length, total: `${keys.length}${more}`, max: this.maxChosen };
+      let template = this.text.counter;
+      if (term) template = this.text.counterFiltered;
+      else if (type === "chosen" && this.maxChosen !== null) template = this.text.counterLimit;
+      counter.textContent = formatPlural(template, term ? visible.length : keys.length, vars, this._pluralRules);
+    }
+
+    // Announce results when the filter term changed since the last render
+    const shownTerm = this._terms[type];
+    if (shownTerm !== this._announcedTerms[type]) {
+      this._announcedTerms[type] = shownTerm;
+      const more = isRemote && this._remote.hasMore ? "+" : "";
+      const vars = {
+        visible: visible.length,
+        total: `${keys.length}${more}`,
+        term: shownTerm,
+        pane: type === "available" ? this.text.availableLabel : this.text.chosenLabel,
+      };
+      this._announce(shownTerm
+        ? formatPlural(this.text.announceFilter, visible.length, vars, this._pluralRules)
+        : formatPlural(this.text.announceFilterCleared, keys.length, vars, this._pluralRules));
+    }
+
+    this._updateButtons();
+    return { visible: visible.length, total: keys.length };
+  }
+
+  /**
+   * Split visible keys into render blocks. Each group label gets one block,
+   * created at its first visible member, so groups emptied by the filter are
+   * not rendered at all; ungrouped keys keep their position between groups.
+   * @returns {{group: string|null, keys: string[]}[]}
+   */
+  _groupKeys(keys) {
+    const blocks = [];
+    const groups = new Map();
+    keys.forEach((key) => {
+      const group = this.options.get(key).group;
+      if (group === null) {
+        const last = blocks[blocks.length - 1];
+        if (last && last.group === null) last.keys.push(key);
+        else blocks.push({ group: null, keys: [key] });
+        return;
+      }
+      let block = groups.get(group);
+      if (!block) {
+        block = { group, keys: [] };
+        groups.set(group, block);
+        blocks.push(block);
+      }
+      block.keys.push(key);
+    });
+    return blocks;
+  }
+
+  _renderList(type, blocks) {
+    const entries = [];
+    blocks.forEach(({ group, keys }) => {
+      if (group !== null) entries.push({ type: "group", label: group });
+      keys.forEach((key) => {
+        const meta = this.options.get(key);
+        entries.push({
+          type: "option",
+          key,
+          label: meta.label,
+          group,
+          disabled: meta.disabled,
+          title: meta.title || meta.label,
+        });
+      });
+    });
+    this._lists[type].setEntries(entries);
+  }
+
+  /**
+   * Fill a listbox row: `renderItem` output, the built-in item template or
+   * the plain label, with filter matches marked when `highlightMatches` is on.
+   */
+  _renderRow(type, entry, row) {
+    const meta = this.options.get(entry.key);
+    const term = this.filterFunction ? "" : this._terms[type];
+    const marked = this.highlightMatches ? term : "";
+
+    if (this.renderItem) {
+      const content = this.renderItem(meta, {
+        pane: type,
+        term: this._terms[type],
+        highlight: (text) => this._highlight(String(text), term),
+      });
+      // Strings are inserted as text, never parsed as HTML
+      row.replaceChildren(content ?? entry.label);
+    } else if (this.itemTemplate) {
+      row.replaceChildren(this._renderTemplate(meta, marked));
+    } else {
+      row.replaceChildren(this._highlight(entry.label, marked));
+    }
+  }
+
+  /** Built-in item layout: optional image, label over secondary text, optional badge. */
+  _renderTemplate(meta, term) {
+    const { secondary, image, badge } = this.itemTemplate;
+    const create = (tag, className) => {
+      const el = this.doc.createElement(tag);
+      el.className = className;
+      return el;
+    };
+
+    const item = create("div", this.theme.item);
+    if (image && meta.dataset[image]) {
+      const img = create("img", this.theme.itemImage);
+      img.src = meta.dataset[image];
+      img.alt = "";
+      img.width = img.height = 28;
+      img.loading = "lazy";
+      item.appendChild(img);
+    }
+
+    const text = create("span", this.theme.itemText);
+    const label = create("span", this.theme.itemLabel);
+    label.appendChild(this._highlight(meta.label, term));
+    text.appendChild(label);
+    if (secondary && meta.dataset[secondary]) {
+      const detail = create("span", this.theme.itemSecondary);
+      detail.appendChild(this._highlight(meta.dataset[secondary], term));
+      text.appendChild(detail);
+    }
+    item.appendChild(text);
+
+    if (badge && meta.dataset[badge]) {
+      const tag = create("span", this.theme.itemBadge);
+      tag.textContent = meta.dataset[badge];
+      item.appendChild(tag);
+    }
+    return item;
+  }
+
+  /** Text fragment of `text` with the ranges matching `term` wrapped in <mark>. */
+  _highlight(text, term) {
+    const fragment = this.doc.createDocumentFragment();
+    const ranges = matchRanges(text, term, { mode: this.filterMatchMode, fold: this.foldDiacritics });
+    let offset = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > offset) fragment.append(text.slice(offset, start));
+      const mark = this.doc.createElement("mark");
+      mark.className = this.theme.highlight;
+      mark.textContent = text.slice(start, end);
+      fragment.append(mark);
+      offset = end;
+    });
+    if (offset < text.length) fragment.append(text.slice(offset));
+    return fragment;
+  }
+
+  _renderSelect(type, blocks) {
+    const select = type === "available" ? this.availableSelect : this.chosenSelect;
 
     // Preserve selection across re-renders
     const previousSelection = new Set(
@@ -423,107 +1172,412 @@ export class FilteredSelectMultiple {
     );
 
     const fragment = this.doc.createDocumentFragment();
-    let visibleCount = 0;
-
-    keys.forEach((key) => {
-      const meta = this.options.get(key);
-      if (!meta) return;
-      if (term && !this._passesFilter(meta.label, term)) return;
-
-      visibleCount++;
-      const option = this.doc.createElement("option");
-      option.value = meta.value;
-      option.textContent = meta.label;
-      option.dataset.key = key;
-      option.disabled = meta.disabled;
-      // Always give every option a tooltip so long labels remain readable
-      // when a width-constrained parent truncates the visible text. Prefer an
-      // explicit title from the source markup, otherwise fall back to the label.
-      option.title = meta.title || meta.label;
-      Object.entries(meta.dataset).forEach(([attr, value]) => {
-        option.dataset[attr] = value;
+    blocks.forEach(({ group, keys }) => {
+      let parent = fragment;
+      if (group !== null) {
+        parent = this.doc.createElement("optgroup");
+        parent.label = group;
+        fragment.appendChild(parent);
+      }
+      keys.forEach((key) => {
+        parent.appendChild(this._createOption(this.options.get(key), previousSelection));
       });
-      if (previousSelection.has(key)) option.selected = true;
-      fragment.appendChild(option);
     });
 
     select.replaceChildren(fragment);
+  }
 
-    // Update counter
-    if (counter) {
-      const total = keys.length;
-      counter.textContent = term
-        ? `(${visibleCount} / ${total})`
-        : `(${total})`;
+  _createOption(meta, previousSelection) {
+    const key = meta.key;
+    const option = this.doc.createElement("option");
+    option.value = meta.value;
+    option.textContent = meta.label;
+    option.dataset.key = key;
+    option.disabled = meta.disabled;
+    // Always give every option a tooltip so long labels remain readable
+    // when a width-constrained parent truncates the visible text. Prefer an
+    // explicit title from the source markup, otherwise fall back to the label.
+    option.title = meta.title || meta.label;
+    Object.entries(meta.dataset).forEach(([attr, value]) => {
+      option.dataset[attr] = value;
+    });
+    if (previousSelection.has(key)) option.selected = true;
+    return option;
+  }
+
+  /** Normalised label and group of an option, cached per meta object. */
+  _searchText(meta) {
+    let text = this._searchCache.get(meta);
+    if (!text) {
+      text = {
+        label: normalizeText(meta.label, this.foldDiacritics),
+        group: meta.group === null ? "" : normalizeText(meta.group, this.foldDiacritics),
+        detail: normalizeText(this._detailText(meta), this.foldDiacritics),
+      };
+      this._searchCache.set(meta, text);
     }
+    return text;
+  }
 
-    this._updateButtons();
+  /** Secondary and badge text shown by the item template, searchable like the label. */
+  _detailText(meta) {
+    if (!this.itemTemplate) return "";
+    const { secondary, badge } = this.itemTemplate;
+    return [secondary, badge]
+      .map((name) => (name ? meta.dataset[name] : ""))
+      .filter(Boolean)
+      .join(" ");
   }
 
-  _passesFilter(label, term) {
-    if (!term) return true;
-    const haystack = label.toLowerCase();
-    if (this.filterMatchMode === "startsWith") return haystack.startsWith(term);
-    // "contains" mode – every whitespace-separated token must match
-    const tokens = term.split(/\s+/).filter(Boolean);
-    return tokens.every((token) => haystack.includes(token));
+  /**
+   * Matcher for the current filter term: `(meta) => score`, 0 meaning no
+   * match. Uses `filterFunction` when given, else the built-in match mode.
+   */
+  _createFilterMatcher(term) {
+    if (this.filterFunction) {
+      const needle = normalizeText(term, this.foldDiacritics);
+      return (meta) => Number(this.filterFunction(meta, needle)) || 0;
+    }
+    const match = createMatcher(term, { mode: this.filterMatchMode, fold: this.foldDiacritics });
+    return (meta) => match(this._searchText(meta));
   }
 
   // ---------------------------------------------------------------------------
   // Transfer logic
   // ---------------------------------------------------------------------------
 
-  _getSelectedKeys(select) {
+  _getSelectedKeys(type) {
+    const list = this._lists[type];
+    if (list) return list.getSelectedKeys();
+    const select = type === "available" ? this.availableSelect : this.chosenSelect;
     return Array.from(select.selectedOptions, (opt) => opt.dataset.key);
   }
 
-  _moveSelected(fromType, toType) {
-    const fromSelect = fromType === "available" ? this.availableSelect : this.chosenSelect;
-    const keys = this._getSelectedKeys(fromSelect).filter((key) => {
+  _moveSelected(fromType, toType, action = "api") {
+    const keys = this._getSelectedKeys(fromType).filter((key) => {
       const meta = this.options.get(key);
       return meta && !meta.disabled;
     });
-    if (keys.length > 0) this._transfer(keys, fromType, toType);
+    if (keys.length === 0) return;
+    const before = this._visibleKeys(fromType);
+    this._transfer(keys, fromType, toType, action);
+    // Let the user keep going: highlight the item that took the place of the
+    // first moved one instead of leaving the pane without a selection
+    if (action !== "api") this._selectNext(fromType, before, keys);
+  }
+
+  _selectNext(type, before, moved) {
+    const remaining = new Set(this._visibleKeys(type));
+    // Cancelled or truncated transfers keep their selection
+    if (moved.some((key) => remaining.has(key))) return;
+    const start = before.indexOf(moved[0]);
+    const candidates = [...before.slice(start), ...before.slice(0, start).reverse()];
+    const next = candidates.find((key) => remaining.has(key) && !this.options.get(key).disabled);
+    if (next) this._selectOnly(type, next);
   }
 
-  _moveAll(fromType, toType) {
+  _moveAll(fromType, toType, action = "api") {
     const source = fromType === "available" ? this.available : this.chosen;
     const keys = source.filter((key) => {
       const meta = this.options.get(key);
       return meta && !meta.disabled;
     });
-    if (keys.length > 0) this._transfer(keys, fromType, toType);
+    if (keys.length > 0) this._transfer(keys, fromType, toType, action);
+  }
+
+  /** Transfer every enabled member of the groups of the selected options. */
+  _moveSelectedGroups(fromType, toType, action = "api") {
+    const groups = this._selectedGroups(fromType);
+    if (groups.length > 0) this._moveGroups(groups, fromType, toType, action);
+  }
+
+  _moveGroups(groupLabels, fromType, toType, action = "api") {
+    const keys = this._groupMembers(groupLabels, fromType);
+    if (keys.length > 0) this._transfer(keys, fromType, toType, action);
+  }
+
+  /** Enabled keys in `type` belonging to any of the given groups. */
+  _groupMembers(groupLabels, type) {
+    const groups = new Set(groupLabels);
+    const source = type === "available" ? this.available : this.chosen;
+    return source.filter((key) => {
+      const meta = this.options.get(key);
+      return meta && !meta.disabled && groups.has(meta.group);
+    });
+  }
+
+  /** Groups of the selected options in `type`. */
+  _selectedGroups(type) {
+    const groups = new Set();
+    this._getSelectedKeys(type).forEach((key) => {
+      const group = this.options.get(key)?.group;
+      if (group != null) groups.add(group);
+    });
+    return [...groups];
+  }
+
+  /**
+   * Handle rows dropped on the `type` pane: a reorder within the chosen pane,
+   * or a transfer from the other pane (placed at the drop position when the
+   * chosen list is reorderable).
+   */
+  _onListDrop(type, keys, samePane, beforeKey) {
+    if (samePane) {
+      this._reorderBefore(keys, beforeKey, "drag");
+      return;
+    }
+    const fromType = type === "available" ? "chosen" : "available";
+    const source = new Set(fromType === "available" ? this.available : this.chosen);
+    const movable = keys.filter((key) => source.has(key) && !this.options.get(key)?.disabled);
+    if (movable.length === 0) return;
+
+    this._transfer(movable, fromType, type, "drag");
+    if (type === "chosen" && this.reorderable && beforeKey !== null) {
+      // _reorderBefore() skips the items the transfer did not add
+      this._reorderBefore(movable, beforeKey, "drag");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reordering
+  // ---------------------------------------------------------------------------
+
+  /** Move the selected chosen items one step or to either end. */
+  _reorderSelected(direction, action = "api") {
+    if (this._locked(action)) return;
+    const selected = new Set(this._getSelectedKeys("chosen"));
+    if (selected.size === 0) return;
+
+    const order = [...this.chosen];
+    if (direction === "top" || direction === "bottom") {
+      const moving = order.filter((key) => selected.has(key));
+      const staying = order.filter((key) => !selected.has(key));
+      const next = direction === "top" ? [...moving, ...staying] : [...staying, ...moving];
+      this._applyOrder(next, selected, action);
+      return;
+    }
+
+    // One step: swap each selected item with an unselected neighbour, walking
+    // towards the move direction so blocks of selected items move together.
+    const step = direction === "up" ? -1 : 1;
+    const indices = order.map((_, i) => i);
+    if (step === 1) indices.reverse();
+    indices.forEach((i) => {
+      const j = i + step;
+      if (!selected.has(order[i]) || j < 0 || j >= order.length || selected.has(order[j])) return;
+      [order[i], order[j]] = [order[j], order[i]];
+    });
+    this._applyOrder(order, selected, action);
+  }
+
+  /** Move `keys` in front of `beforeKey` (to the end when null), e.g. after a drop. */
+  _reorderBefore(keys, beforeKey, action = "api") {
+    if (this._locked(action)) return;
+    const chosen = new Set(this.chosen);
+    const moving = new Set(keys.filter((key) => chosen.has(key)));
+    if (moving.size === 0) return;
+
+    // Dropping onto a dragged row means "before the next row that stays"
+    let anchor = beforeKey;
+    if (anchor !== null && moving.has(anchor)) {
+      const rest = this.chosen.slice(this.chosen.indexOf(anchor));
+      anchor = rest.find((key) => !moving.has(key)) ?? null;
+    }
+
+    const staying = this.chosen.filter((key) => !moving.has(key));
+    const movingInOrder = this.chosen.filter((key) => moving.has(key));
+    const at = anchor === null ? staying.length : staying.indexOf(anchor);
+    staying.splice(at, 0, ...movingInOrder);
+    this._applyOrder(staying, moving, action);
+  }
+
+  _applyOrder(order, moved, action) {
+    if (order.every((key, i) => key === this.chosen[i])) return;
+    this.chosen.splice(0, this.chosen.length, ...order);
+
+    this._syncOrder();
+    this._renderPane("chosen");
+    this._dispatchChange();
+    this._emit("reorder", {
+      values: this.getValue(),
+      moved: order.filter((key) => moved.has(key)).map((key) => this.options.get(key).value),
+      action,
+    });
+  }
+
+  /**
+   * Mirror the chosen order in the original select, so the form submits the
+   * values in that sequence: chosen options are moved, in order, to the end.
+   * Their group and position are remembered for later refresh() calls, the
+   * layout before the first move for destroy().
+   */
+  _syncOrder() {
+    // Nothing to move while the select already submits the chosen order
+    const submitted = Array.from(this.selectElement.options).filter((option) => option.selected);
+    const originals = this.chosen.map((key) => this.options.get(key)?.original).filter(Boolean);
+    if (submitted.length === originals.length && submitted.every((option, i) => option === originals[i])) return;
+
+    if (!layouts.has(this.selectElement)) {
+      layouts.set(this.selectElement, Array.from(this.selectElement.children, (child) => [
+        child,
+        child.localName === "optgroup" ? Array.from(child.children) : [],
+      ]));
+    }
+    this.chosen.forEach((key) => {
+      const meta = this.options.get(key);
+      const option = meta?.original;
+      if (!option) return;
+      if (!optionHomes.has(option)) {
+        optionHomes.set(option, { group: meta.group, index: meta.index });
+      }
+      this.selectElement.appendChild(option);
+    });
+    this._observer?.takeRecords();
   }
 
-  _transfer(keys, fromType, toType) {
+  /** Put the options moved by _syncOrder() back into their groups and places. */
+  _restoreLayout() {
+    const layout = layouts.get(this.selectElement);
+    if (!layout) return;
+    const present = (node) => this.selectElement.contains(node);
+    layout.forEach(([child, groupOptions]) => {
+      if (!present(child)) return;
+      this.selectElement.appendChild(child);
+      groupOptions.forEach((option) => {
+        if (present(option)) child.appendChild(option);
+      });
+    });
+    layouts.delete(this.selectElement);
+    this._observer?.takeRecords();
+  }
+
+  /**
+   * Resolve option values to the enabled keys currently in `fromType`,
+   * following the order of `values`.
+   */
+  _keysForValues(values, fromType) {
+    const source = fromType === "available" ? this.available : this.chosen;
+    const byValue = new Map();
+    source.forEach((key) => {
+      const meta = this.options.get(key);
+      if (!meta || meta.disabled) return;
+      if (!byValue.has(meta.value)) byValue.set(meta.value, []);
+      byValue.get(meta.value).push(key);
+    });
+
+    const keys = [];
+    new Set(toValueArray(values)).forEach((value) => {
+      keys.push(...(byValue.get(value) ?? []));
+    });
+    return keys;
+  }
+
+  /**
+   * Move `keys` between the lists. `action` names what triggered the transfer
+   * ("button", "dblclick", "enter", "drag" or "api") and is reported in the events.
+   */
+  _transfer(keys, fromType, toType, action = "api") {
+    if (this._locked(action)) return;
+    if (toType === "chosen" && this.maxChosen !== null) {
+      // Block transfers into a full list, truncate the ones that overflow it
+      const capacity = this.maxChosen - this.chosen.length;
+      if (capacity <= 0) return;
+      keys = keys.slice(0, capacity);
+    }
+
+    const detail = {
+      values: keys.map((key) => this.options.get(key).value),
+      from: fromType,
+      to: toType,
+      action,
+    };
+    if (!this._emit("beforetransfer", detail, { cancelable: true })) return;
+
     const from = fromType === "available" ? this.available : this.chosen;
     const to = toType === "available" ? this.available : this.chosen;
     const keySet = new Set(keys);
 
-    // Remove from source
-    const remaining = from.filter((key) => !keySet.has(key));
-    from.splice(0, from.length, ...remaining);
+    // Remove from source, in place (keeps its order)
+    let write = 0;
+    for (let read = 0; read < from.length; read++) {
+      if (!keySet.has(from[read])) from[write++] = from[read];
+    }
+    from.length = write;
 
     // Add to target
-    to.push(...keys);
-
-    // Sort
-    this._sortByIndex(from);
     if (!this.preserveSelectionOrder || toType === "available") {
-      this._sortByIndex(to);
+      this._mergeByIndex(to, keys);
+    } else {
+      keys.forEach((key) => to.push(key));
     }
 
     // Sync state to original <select> FIRST, then render, then notify.
-    this._syncToOriginal();
+    this._syncToOriginal(keys);
+    if (this.reorderable) this._syncOrder();
     this._render();
     this._dispatchChange();
+    this._emit(toType === "chosen" ? "add" : "remove", detail);
+    this._announce(formatPlural(
+      toType === "chosen" ? this.text.announceAdded : this.text.announceRemoved,
+      keys.length,
+      { count: keys.length, pane: this.text.chosenLabel },
+      this._pluralRules,
+    ));
+  }
+
+  /** Read `message` to screen-reader users through the live region. */
+  _announce(message) {
+    if (!message) return;
+    clearTimeout(this._announceTimer);
+    // Clearing first makes repeated identical messages be announced again
+    this.liveRegion.textContent = "";
+    this._announceTimer = setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
   }
 
-  _syncToOriginal() {
+  /**
+   * Write the chosen state to the original options. Pass the transferred
+   * `keys` to only touch those options.
+   */
+  _syncToOriginal(keys = null) {
     const chosenSet = new Set(this.chosen);
-    this.options.forEach((meta) => {
-      meta.original.selected = chosenSet.has(meta.key);
-    });
+    const metas = keys ? keys.map((key) => this.options.get(key)) : this.options.values();
+    for (const meta of metas) {
+      if (!meta) continue;
+      const isChosen = chosenSet.has(meta.key);
+      if (!meta.original && isChosen) this._createOriginal(meta);
+      if (!meta.original) continue;
+
+      meta.original.selected = isChosen;
+      // Options added for remote items only live as long as they are chosen
+      if (!isChosen && meta.created) {
+        meta.original.remove();
+        meta.original = null;
+        meta.created = false;
+      }
+    }
+    // Our own writes must not trigger an observed refresh()
+    this._observer?.takeRecords();
+  }
+
+  /**
+   * Back a remote item with an <option> in the original select so that plain
+   * form submission includes it. Reuses an unmanaged option with the same value.
+   */
+  _createOriginal(meta) {
+    let option = Array.from(this.selectElement.options).find(
+      (opt) => opt.value === meta.value && !this.options.has(this._optionKeys.get(opt))
+    );
+    if (!option) {
+      option = new Option(meta.label, meta.value);
+      if (meta.title) option.title = meta.title;
+      Object.assign(option.dataset, meta.dataset);
+      this.selectElement.appendChild(option);
+      meta.created = true;
+    }
+    this._optionKeys.set(option, meta.key);
+    meta.original = option;
   }
 
   _dispatchChange() {
@@ -531,20 +1585,82 @@ export class FilteredSelectMultiple {
     this.selectElement.dispatchEvent(event);
   }
 
+  /**
+   * Dispatch a namespaced `fsm:<name>` CustomEvent on the original select.
+   * @returns {boolean} false if a cancelable event was cancelled
+   */
+  _emit(name, detail, { cancelable = false } = {}) {
+    const event = new CustomEvent(`fsm:${name}`, { bubbles: true, cancelable, detail });
+    return this.selectElement.dispatchEvent(event);
+  }
+
   // ---------------------------------------------------------------------------
   // Button state management
   // ---------------------------------------------------------------------------
 
   _updateButtons() {
-    const hasAvailableSelection = this.availableSelect.selectedOptions.length > 0;
-    const hasChosenSelection = this.chosenSelect.selectedOptions.length > 0;
-    const hasAvailableItems = this.available.some((k) => !this.options.get(k)?.disabled);
-    const hasChosenItems = this.chosen.some((k) => !this.options.get(k)?.disabled);
+    const enabledCount = (keys) => keys.filter((k) => !this.options.get(k)?.disabled).length;
+    const availableSelection = enabledCount(this._getSelectedKeys("available"));
+    const chosenSelection = enabledCount(this._getSelectedKeys("chosen"));
+    const availableItems = enabledCount(this.available);
+    const chosenItems = enabledCount(this.chosen);
+    const availableGroups = this._selectedGroups("available");
+    // Adding is disabled when the transfer would exceed maxChosen
+    const fits = (count) => this.maxChosen === null || this.chosen.length + count <= this.maxChosen;
+    const canAdd = (count) => count > 0 && fits(count);
+    // Nothing can be moved while disabled or readonly
+    const locked = this.disabled || this.readonly;
+
+    this._setButtonState("addSelected", locked || !canAdd(availableSelection));
+    const groupMembers = this._groupMembers(availableGroups, "available").length;
+    this._setButtonState("addGroup", locked || !canAdd(groupMembers));
+    this._setButtonState("removeGroup", locked || this._selectedGroups("chosen").length === 0);
+    this._setButtonState("removeSelected", locked || chosenSelection === 0);
+    this._setButtonState("addAll", locked || !canAdd(availableItems));
+    this._setButtonState("removeAll", locked || chosenItems === 0);
+
+    // Custom buttons decide themselves, within the same lock
+    this._customControls.forEach((control, action) => {
+      this._setButtonState(action, locked || Boolean(control.disabled?.(this)));
+    });
+
+    if (!this.reorderable) return;
+    // Reordering is possible unless the selection already sits at that end
+    const indexOf = new Map(this.chosen.map((key, i) => [key, i]));
+    const positions = this._getSelectedKeys("chosen")
+      .map((key) => indexOf.get(key))
+      .sort((a, b) => a - b);
+    const atTop = positions.every((pos, i) => pos === i);
+    const atBottom = positions.every((pos, i) => pos === this.chosen.length - positions.length + i);
+    this._setButtonState("moveTop", locked || atTop);
+    this._setButtonState("moveUp", locked || atTop);
+    this._setButtonState("moveDown", locked || atBottom);
+    this._setButtonState("moveBottom", locked || atBottom);
+  }
+
+  /**
+   * Report minChosen/maxChosen violations through the constraint validation
+   * API of the original select, so native form validation and :invalid work.
+   */
+  _updateValidity() {
+    const count = this.chosen.length;
+    const vars = { min: this.minChosen, max: this.maxChosen, count };
+    let message = "";
+    if (count < this.minChosen) {
+      message = formatPlural(this.text.minChosenMessage, this.minChosen, vars, this._pluralRules);
+    } else if (this.maxChosen !== null && count > this.maxChosen) {
+      message = formatPlural(this.text.maxChosenMessage, this.maxChosen, vars, this._pluralRules);
+    }
 
-    this._setButtonState("addSelected", !hasAvailableSelection);
-    this._setButtonState("removeSelected", !hasChosenSelection);
-    this._setButtonState("addAll", !hasAvailableItems);
-    this._setButtonState("removeAll", !hasChosenItems);
+    this.selectElement.setCustomValidity(message);
+    // validity also covers `required` on the original select
+    if (!this.selectElement.validity.valid) {
+      this.chosenSelect.setAttribute("aria-invalid", "true");
+    } else {
+      this.chosenSelect.removeAttribute("aria-invalid");
+    }
+    // Only update a message that is already shown; it first appears on `invalid`
+    if (this.feedback.textContent) this.feedback.textContent = this.selectElement.validationMessage;
   }
 
   _setButtonState(action, disabled) {
@@ -552,28 +1668,194 @@ export class FilteredSelectMultiple {
     if (!button) return;
 
     button.disabled = disabled;
+    const classNames = this._buttonClassNames(action);
+    button.className = disabled ? classNames.disabled : classNames.enabled;
+  }
 
-    const baseClasses = this.theme.button.split(/\s+/).filter(Boolean);
-    const actionKey = `button${action.charAt(0).toUpperCase()}${action.slice(1)}`;
-    const actionClasses = (this.theme[actionKey] || "").split(/\s+/).filter(Boolean);
-    const disabledClasses = (this.theme.buttonDisabled || "").split(/\s+/).filter(Boolean);
-
-    const finalClasses = [...baseClasses, ...actionClasses];
-    if (disabled) finalClasses.push(...disabledClasses);
-    button.className = [...new Set(finalClasses)].join(" ");
+  /** Class attribute of a button when enabled and when disabled, built once per action. */
+  _buttonClassNames(action) {
+    let classNames = this._buttonClasses.get(action);
+    if (!classNames) {
+      const actionKey = `button${action.charAt(0).toUpperCase()}${action.slice(1)}`;
+      const actionClasses = this._customControls.get(action)?.className ?? this.theme[actionKey];
+      const enabled = [...new Set([...splitClasses(this.theme.button), ...splitClasses(actionClasses)])];
+      const disabled = [...new Set([...enabled, ...splitClasses(this.theme.buttonDisabled)])];
+      classNames = { enabled: enabled.join(" "), disabled: disabled.join(" ") };
+      this._buttonClasses.set(action, classNames);
+    }
+    return classNames;
   }
 
   // ---------------------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------------------
 
+  /**
+   * The widget enhancing `selectElement`, or null.
+   * @param {HTMLSelectElement} selectElement
+   * @returns {FilteredSelectMultiple|null}
+   */
+  static getInstance(selectElement) {
+    return instances.get(selectElement) ?? null;
+  }
+
+  /**
+   * The widget enhancing `selectElement`, created with `options` if there is
+   * none yet.
+   * @param {HTMLSelectElement} selectElement
+   * @param {object} [options]
+   * @returns {FilteredSelectMultiple}
+   */
+  static getOrCreate(selectElement, options = {}) {
+    return FilteredSelectMultiple.getInstance(selectElement) ?? new FilteredSelectMultiple(selectElement, options);
+  }
+
+  /**
+   * Destroy the widgets of all enhanced selects in `root` (including `root`
+   * itself).
+   * @param {ParentNode} [root=document]
+   * @returns {number} How many widgets were destroyed.
+   */
+  static destroyAll(root = document) {
+    const selector = "select[data-filtered-select-multiple='true']";
+    const selects = Array.from(root.querySelectorAll?.(selector) ?? []);
+    if (root.matches?.(selector)) selects.unshift(root);
+    let count = 0;
+    selects.forEach((select) => {
+      const widget = instances.get(select);
+      if (!widget) return;
+      widget.destroy();
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Move the options with the given value(s) to the chosen list.
+   * Disabled options and values that are already chosen are ignored.
+   * @param {string|string[]} values
+   */
+  select(values) {
+    const keys = this._keysForValues(values, "available");
+    if (keys.length > 0) this._transfer(keys, "available", "chosen");
+  }
+
+  /**
+   * Move the options with the given value(s) back to the available list.
+   * @param {string|string[]} values
+   */
+  deselect(values) {
+    const keys = this._keysForValues(values, "chosen");
+    if (keys.length > 0) this._transfer(keys, "chosen", "available");
+  }
+
+  /** Choose every enabled option, like the "Add all" button. */
+  selectAll() {
+    this._moveAll("available", "chosen");
+  }
+
+  /** Remove every enabled option from the chosen list, like "Remove all". */
+  clear() {
+    this._moveAll("chosen", "available");
+  }
+
+  /**
+   * Make the chosen list match `values` exactly (disabled options excepted).
+   * @param {string|string[]} values
+   */
+  setValue(values) {
+    const wanted = new Set(toValueArray(values));
+    const unwanted = this.chosen
+      .map((key) => this.options.get(key)?.value)
+      .filter((value) => value !== undefined && !wanted.has(value));
+    this.deselect(unwanted);
+    this.select([...wanted]);
+  }
+
+  /**
+   * Values of the chosen options, in chosen-list order.
+   * @returns {string[]}
+   */
+  getValue() {
+    return this.chosen.map((key) => this.options.get(key).value);
+  }
+
+  /**
+   * Re-read the options of the original <select>. Picks up added, removed and
+   * relabelled options as well as changed `selected`/`disabled` state, while
+   * keeping the current filter text and list selections.
+   */
+  refresh() {
+    this._buildState();
+    this._render();
+    this._applyState();
+  }
+
+  /**
+   * Restore the chosen items the select had when the page was loaded (the
+   * options' `defaultSelected`), as a form reset does, and clear the filters.
+   * Fires `fsm:reset`.
+   */
+  reset() {
+    // Remote items were backed by options the page never had
+    this.options.forEach((meta) => {
+      if (!meta.created) return;
+      meta.original?.remove();
+      meta.original = null;
+      meta.created = false;
+    });
+    Array.from(this.selectElement.options, (option) => { option.selected = option.defaultSelected; });
+
+    // Derive the chosen order afresh: document order, or the original
+    // positions of options moved by reordering
+    this.chosen = [];
+    this._buildState();
+    if (this.preserveSelectionOrder) this._sortByIndex(this.chosen);
+    this._restoreLayout();
+    if (this.reorderable) this._syncOrder();
+    this._observer?.takeRecords();
+
+    [this.availableFilter, this.chosenFilter].forEach((filter) => {
+      if (filter) filter.value = "";
+    });
+    this.feedback.textContent = "";
+    this._render();
+    this._emit("reset", { values: this.getValue() });
+  }
+
+  /** Disable the original select, and with it the widget. */
+  disable() {
+    this.selectElement.disabled = true;
+    this._applyState();
+  }
+
+  /** Enable the original select and the widget. */
+  enable() {
+    this.selectElement.disabled = false;
+    this._applyState();
+  }
+
   /** Revert the widget and restore the original <select> element. */
   destroy() {
+    // Already destroyed (the select may have been enhanced again since)
+    if (instances.get(this.selectElement) !== this) return;
+    instances.delete(this.selectElement);
     this.#abortController.abort();
+    clearTimeout(this._announceTimer);
+    clearTimeout(this._filterTimers.available);
+    clearTimeout(this._filterTimers.chosen);
+    this._remote.controller?.abort();
+    this._observer?.disconnect();
+    this._stateObserver?.disconnect();
+    // Options go back into their groups only where that keeps the submitted order
+    this._restoreLayout();
+    if (this.reorderable) this._syncOrder();
     this.container.remove();
     this.selectElement.style.display = this.previousDisplay;
     this.selectElement.removeAttribute("data-filtered-select-multiple");
-    this.placeholder.parentNode.insertBefore(this.selectElement, this.placeholder);
+    this.selectElement.setCustomValidity("");
+    // The placeholder is gone when its markup was replaced (e.g. innerHTML)
+    this.placeholder.parentNode?.insertBefore(this.selectElement, this.placeholder);
     this.placeholder.remove();
   }
 }
@@ -0,0 +1,89 @@
+/**
+ * Options read from HTML attributes, for the declarative setups: the
+ * attributes of `<filtered-select-multiple>` and the `data-fsm-*` attributes
+ * read by autoInit(). Attribute values are strings, so each option names how
+ * to parse its value.
+ */
+
+import { themes } from "./themes.js";
+import { locales } from "./locales.js";
+
+/** Attribute name -> [option name, parser] */
+export const OPTION_ATTRIBUTES = {
+  theme: ["theme", parseTheme],
+  "show-filter": ["showFilter", parseBoolean],
+  "match-mode": ["filterMatchMode", String],
+  "filter-mode": ["filterMatchMode", String],
+  size: ["size", parseNumber],
+  "preserve-order": ["preserveSelectionOrder", parseBoolean],
+  locale: ["locale", String],
+  "min-chosen": ["minChosen", parseNumber],
+  "max-chosen": ["maxChosen", parseNumber],
+  reorderable: ["reorderable", parseBoolean],
+  "drag-and-drop": ["dragAndDrop", parseBoolean],
+  "highlight-matches": ["highlightMatches", parseBoolean],
+  virtualize: ["virtualize", parseBoolean],
+  observe: ["observe", parseBoolean],
+  "inject-css": ["injectCSS", parseBoolean],
+  "icon-only": ["iconOnly", parseBoolean],
+  controls: ["controls", parseList],
+};
+
+/** `text-<key>` attribute names of every text entry, e.g. "text-add-all". */
+export const TEXT_ATTRIBUTES = [...Object.keys(locales.en), "availableFilterPlaceholder", "chosenFilterPlaceholder"]
+  .map((key) => `text-${key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`);
+
+/**
+ * Constructor options from the attributes of `element`. Absent attributes
+ * are left out, so the widget defaults apply. `<prefix>text-<key>`
+ * attributes set `text` entries, e.g. `text-add-all` sets `text.addAll`.
+ * @param {Element} element
+ * @param {string} [prefix=""] - Prefix of all attribute names, e.g. "data-fsm-".
+ * @returns {object}
+ */
+export function optionsFromAttributes(element, prefix = "") {
+  const options = {};
+  Object.entries(OPTION_ATTRIBUTES).forEach(([attribute, [option, parse]]) => {
+    const value = element.getAttribute(prefix + attribute);
+    if (value === null) return;
+    const parsed = parse(value, prefix + attribute);
+    if (parsed !== undefined) options[option] = parsed;
+  });
+
+  const textPrefix = `${prefix}text-`;
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (!name.startsWith(textPrefix) || name === textPrefix) return;
+    const key = name.slice(textPrefix.length).replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+    options.text = { ...options.text, [key]: value };
+  });
+  return options;
+}
+
+/** Present means true, like HTML boolean attributes, except for "false". */
+function parseBoolean(value) {
+  return value.trim().toLowerCase() !== "false";
+}
+
+/** Comma- or space-separated names, e.g. "addSelected, removeSelected". */
+function parseList(value) {
+  return value.split(/[\s,]+/).filter(Boolean);
+}
+
+function parseNumber(value, attribute) {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number)) {
+    console.warn(`FilteredSelectMultiple: ignoring ${attribute}="${value}", expected a number`);
+    return undefined;
+  }
+  return number;
+}
+
+/** A theme registered in `themes`, by case-insensitive name. */
+function parseTheme(value, attribute) {
+  const name = Object.keys(themes).find((key) => key.toLowerCase() === value.trim().toLowerCase());
+  if (!name) {
+    console.warn(`FilteredSelectMultiple: unknown ${attribute}="${value}", using the default theme`);
+    return undefined;
+  }
+  return themes[name];
+}
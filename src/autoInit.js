@@ -0,0 +1,75 @@
+/**
+ * Declarative setup: enhance every `<select multiple data-fsm>` with options
+ * taken from its `data-fsm-*` attributes.
+ *
+ *   <select name="permissions" multiple data-fsm data-fsm-theme="bootstrap5">…</select>
+ *
+ *   import { autoInit } from "filtered-select-multiple-widget";
+ *   autoInit();                    // once, after the DOM is ready
+ *   autoInit(document, { observe: true }); // also content inserted later
+ */
+
+import { FilteredSelectMultiple } from "./FilteredSelectMultiple.js";
+import { optionsFromAttributes } from "./attributes.js";
+
+const SELECTOR = "select[multiple][data-fsm]";
+const ATTRIBUTE_PREFIX = "data-fsm-";
+
+/**
+ * Enhance the matching selects in `root`.
+ * @param {ParentNode} [root=document]
+ * @param {object} [config]
+ * @param {boolean} [config.observe=false] - Keep watching `root`: enhance
+ *   selects inserted later (HTMX swaps, Turbo frames) and destroy the
+ *   widgets of selects removed from the document.
+ * @param {object} [config.options] - Options for every widget; attributes
+ *   take precedence.
+ * @returns {{ widgets: FilteredSelectMultiple[], disconnect: () => void }}
+ *   The widgets created now, and a function that stops observing.
+ */
+export function autoInit(root = document, { observe = false, options = {} } = {}) {
+  const created = new Set();
+
+  const enhance = (node) => {
+    const widgets = [];
+    findTargets(node).forEach((select) => {
+      if (FilteredSelectMultiple.getInstance(select)) return;
+      const attributes = optionsFromAttributes(select, ATTRIBUTE_PREFIX);
+      const text = { ...options.text, ...attributes.text };
+      const widget = new FilteredSelectMultiple(select, { ...options, ...attributes, text });
+      created.add(widget);
+      widgets.push(widget);
+    });
+    return widgets;
+  };
+
+  const widgets = enhance(root);
+  if (!observe) return { widgets, disconnect() {} };
+
+  const observer = new MutationObserver((records) => {
+    records.forEach((record) => {
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) enhance(node);
+      });
+    });
+    // Nodes moved within the document are removed and added again, so only
+    // destroy widgets whose select really left it
+    if (records.some((record) => record.removedNodes.length > 0)) {
+      created.forEach((widget) => {
+        if (widget.selectElement.isConnected) return;
+        widget.destroy();
+        created.delete(widget);
+      });
+    }
+  });
+  observer.observe(root, { childList: true, subtree: true });
+
+  return { widgets, disconnect: () => observer.disconnect() };
+}
+
+/** `node` itself and its descendants that match the selector. */
+function findTargets(node) {
+  const targets = Array.from(node.querySelectorAll?.(SELECTOR) ?? []);
+  if (node.matches?.(SELECTOR)) targets.unshift(node);
+  return targets;
+}
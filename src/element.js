@@ -0,0 +1,153 @@
+/**
+ * `<filtered-select-multiple>` custom element: wraps a `<select multiple>`
+ * child in a FilteredSelectMultiple widget without any JavaScript setup.
+ *
+ *   <script type="module" src=".../src/element.js"></script>
+ *   <filtered-select-multiple theme="bootstrap5" match-mode="fuzzy">
+ *     <select name="permissions" multiple>…</select>
+ *   </filtered-select-multiple>
+ *
+ * Options come from attributes (see OPTION_ATTRIBUTES and TEXT_ATTRIBUTES);
+ * changing one rebuilds the widget. The element is form-associated: it mirrors the
+ * validity of the select and, when it has a `name` of its own, submits the
+ * chosen values under that name.
+ */
+
+import { FilteredSelectMultiple } from "./FilteredSelectMultiple.js";
+import { OPTION_ATTRIBUTES, TEXT_ATTRIBUTES, optionsFromAttributes } from "./attributes.js";
+
+export class FilteredSelectMultipleElement extends HTMLElement {
+  static formAssociated = true;
+  static observedAttributes = ["name", ...Object.keys(OPTION_ATTRIBUTES), ...TEXT_ATTRIBUTES];
+
+  #internals;
+  #listeners = null;
+
+  constructor() {
+    super();
+    this.#internals = this.attachInternals();
+    /** @type {FilteredSelectMultiple|null} */
+    this.widget = null;
+  }
+
+  connectedCallback() {
+    // Wait for the parser to add the select and its options
+    if (this.ownerDocument.readyState === "loading") {
+      this.ownerDocument.addEventListener("DOMContentLoaded", () => this.#setup(), { once: true });
+      return;
+    }
+    this.#setup();
+  }
+
+  disconnectedCallback() {
+    this.#teardown();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.widget || oldValue === newValue) return;
+    if (name === "name") {
+      this.#syncForm();
+      return;
+    }
+    // Options are read once by the widget, so apply changes by rebuilding it
+    this.#teardown();
+    this.#setup();
+  }
+
+  /** A surrounding <fieldset> was disabled or enabled. */
+  formDisabledCallback() {
+    this.widget?.refresh();
+  }
+
+  #setup() {
+    if (this.widget || !this.isConnected) return;
+    const select = this.querySelector("select[multiple]");
+    if (!select) {
+      throw new Error("<filtered-select-multiple> requires a <select multiple> child");
+    }
+
+    this.widget = new FilteredSelectMultiple(select, optionsFromAttributes(this));
+    this.#listeners = new AbortController();
+    const { signal } = this.#listeners;
+    // Transfers dispatch `change` on the select, resets `fsm:reset`
+    select.addEventListener("change", () => this.#syncForm(), { signal });
+    select.addEventListener("fsm:reset", () => this.#syncForm(), { signal });
+    this.#syncForm();
+  }
+
+  #teardown() {
+    this.#listeners?.abort();
+    this.#listeners = null;
+    this.widget?.destroy();
+    this.widget = null;
+  }
+
+  /** Mirror value and validity of the select into the element's form state. */
+  #syncForm() {
+    if (!this.widget) return;
+    const name = this.getAttribute("name");
+    if (name) {
+      const data = new FormData();
+      this.widget.getValue().forEach((value) => data.append(name, value));
+      this.#internals.setFormValue(data);
+    } else {
+      this.#internals.setFormValue(null);
+    }
+
+    const { validity, validationMessage } = this.widget.selectElement;
+    if (validity.valid) {
+      this.#internals.setValidity({});
+    } else {
+      this.#internals.setValidity(
+        { valueMissing: validity.valueMissing, customError: validity.customError },
+        validationMessage,
+        this.widget.chosenSelect,
+      );
+    }
+  }
+
+  /** Chosen values, as from `widget.getValue()`. */
+  get value() {
+    return this.widget ? this.widget.getValue() : [];
+  }
+
+  set value(values) {
+    this.widget?.setValue(values);
+  }
+
+  get form() {
+    return this.#internals.form;
+  }
+
+  get name() {
+    return this.getAttribute("name");
+  }
+
+  get type() {
+    return this.localName;
+  }
+
+  get validity() {
+    return this.#internals.validity;
+  }
+
+  get validationMessage() {
+    return this.#internals.validationMessage;
+  }
+
+  get willValidate() {
+    return this.#internals.willValidate;
+  }
+
+  checkValidity() {
+    return this.#internals.checkValidity();
+  }
+
+  reportValidity() {
+    return this.#internals.reportValidity();
+  }
+}
+
+if (!customElements.get("filtered-select-multiple")) {
+  customElements.define("filtered-select-multiple", FilteredSelectMultipleElement);
+}
@@ -0,0 +1,253 @@
+/**
+ * Text matching for the pane filters.
+ *
+ * All matchers work on normalised text (see normalizeText) and return a
+ * score: 0 for no match, a positive number otherwise. Only the "fuzzy" mode
+ * produces graded scores; the other modes return 1 for every match.
+ */
+
+const COMBINING_MARKS = /\p{M}/gu;
+
+/**
+ * Lower-case `text` and, with `fold`, strip diacritics ("Müller" -> "muller").
+ * @param {string} text
+ * @param {boolean} [fold=true]
+ * @returns {string}
+ */
+export function normalizeText(text, fold = true) {
+  const lower = String(text).toLowerCase();
+  return fold ? lower.normalize("NFD").replace(COMBINING_MARKS, "") : lower;
+}
+
+/**
+ * Build a matcher for one filter term.
+ * @param {string} term - Trimmed filter input.
+ * @param {object} options
+ * @param {"contains"|"startsWith"|"fuzzy"|"regex"} options.mode
+ * @param {boolean} options.fold - Fold diacritics.
+ * @returns {(text: {label: string, group: string, detail?: string}) => number}
+ *   Takes the normalised label and group label of an option, plus any extra
+ *   searchable text (e.g. the secondary line of an item template).
+ */
+export function createMatcher(term, { mode, fold }) {
+  const needle = normalizeText(term, fold);
+
+  if (mode === "regex") {
+    const pattern = fold ? term.normalize("NFD").replace(COMBINING_MARKS, "") : term;
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, "iu");
+    } catch {
+      // Incomplete or invalid patterns (e.g. while typing "(") match literally
+    }
+    if (regex) {
+      return ({ label, group, detail = "" }) =>
+        (regex.test(label) || (group !== "" && regex.test(group)) || (detail !== "" && regex.test(detail)) ? 1 : 0);
+    }
+    return ({ label, group, detail = "" }) =>
+      (label.includes(needle) || group.includes(needle) || detail.includes(needle) ? 1 : 0);
+  }
+
+  if (mode === "startsWith") {
+    return ({ label, group, detail = "" }) =>
+      (label.startsWith(needle) || (group !== "" && group.startsWith(needle)) ||
+        (detail !== "" && detail.startsWith(needle)) ? 1 : 0);
+  }
+
+  const tokens = needle.split(/\s+/).filter(Boolean);
+
+  if (mode === "fuzzy") {
+    return ({ label, group, detail = "" }) => {
+      let total = 0;
+      for (const token of tokens) {
+        // Matches in the group label or extra text count, but less than label matches
+        const score = Math.max(
+          fuzzyScore(token, label),
+          fuzzyScore(token, group) / 2,
+          fuzzyScore(token, detail) / 2,
+        );
+        if (score === 0) return 0;
+        total += score;
+      }
+      return total;
+    };
+  }
+
+  // "contains" – every token must match the option label, its group label or extra text
+  return ({ label, group, detail = "" }) => {
+    const haystack = [group, label, detail].filter(Boolean).join(" ");
+    return tokens.every((token) => haystack.includes(token)) ? 1 : 0;
+  };
+}
+
+/**
+ * Ranges of `text` that match `term`, for highlighting. Ranges are
+ * `[start, end)` offsets into the original (not normalised) text, sorted and
+ * non-overlapping.
+ * @param {string} text - Original option label.
+ * @param {string} term - Trimmed filter input.
+ * @param {object} options
+ * @param {"contains"|"startsWith"|"fuzzy"|"regex"} options.mode
+ * @param {boolean} options.fold - Fold diacritics.
+ * @returns {Array<[number, number]>}
+ */
+export function matchRanges(text, term, { mode, fold }) {
+  if (!term) return [];
+  const { normalized, starts, ends } = normalizeWithOffsets(text, fold);
+  const needle = normalizeText(term, fold);
+  const found = [];
+
+  if (mode === "regex") {
+    let regex;
+    try {
+      const pattern = fold ? term.normalize("NFD").replace(COMBINING_MARKS, "") : term;
+      regex = new RegExp(pattern, "giu");
+    } catch {
+      regex = null;
+    }
+    if (regex) {
+      for (const match of normalized.matchAll(regex)) {
+        if (match[0]) found.push([match.index, match.index + match[0].length]);
+      }
+    } else {
+      found.push(...occurrences(normalized, needle));
+    }
+  } else if (mode === "startsWith") {
+    if (normalized.startsWith(needle)) found.push([0, needle.length]);
+  } else {
+    needle.split(/\s+/).filter(Boolean).forEach((token) => {
+      const exact = occurrences(normalized, token);
+      if (exact.length > 0 || mode !== "fuzzy") {
+        found.push(...exact);
+        return;
+      }
+      const positions = subsequencePositions(token, normalized) ?? [];
+      positions.forEach((pos) => found.push([pos, pos + 1]));
+    });
+  }
+
+  // Map back to the original text and merge overlapping ranges
+  const ranges = found
+    .filter(([start, end]) => end > start)
+    .map(([start, end]) => [starts[start], ends[end - 1]])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach((range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  });
+  return merged;
+}
+
+/** All `[start, end)` occurrences of `needle` in `haystack`. */
+function occurrences(haystack, needle) {
+  const result = [];
+  if (!needle) return result;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    result.push([index, index + needle.length]);
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return result;
+}
+
+/**
+ * normalizeText() that also records, for every normalised character, where
+ * its source character starts and ends in the original text. Combining marks
+ * removed by folding are attributed to the preceding character.
+ */
+function normalizeWithOffsets(text, fold) {
+  let normalized = "";
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of String(text)) {
+    const piece = normalizeText(char, fold);
+    const end = offset + char.length;
+    if (piece === "" && ends.length > 0) {
+      ends[ends.length - 1] = end;
+    }
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(offset);
+      ends.push(end);
+    }
+    normalized += piece;
+    offset = end;
+  }
+  return { normalized, starts, ends };
+}
+
+/**
+ * Score how well `needle` fuzzily matches `haystack` (both normalised).
+ * Substrings score highest, then in-order subsequences (rewarding
+ * consecutive characters and word starts), then words within one typo of
+ * the needle. Returns 0 when nothing matches.
+ * @param {string} needle
+ * @param {string} haystack
+ * @returns {number}
+ */
+export function fuzzyScore(needle, haystack) {
+  if (!needle) return 1;
+  if (!haystack) return 0;
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    const wordStart = index === 0 || /\W/.test(haystack[index - 1]);
+    return 100 + needle.length * 4 + (wordStart ? 20 : 0) - Math.min(index, 20);
+  }
+
+  const positions = subsequencePositions(needle, haystack);
+  if (positions) {
+    let score = 50;
+    positions.forEach((pos, i) => {
+      if (i > 0 && pos === positions[i - 1] + 1) score += 3;
+      if (pos === 0 || /\W/.test(haystack[pos - 1])) score += 2;
+    });
+    return score - Math.min(positions[positions.length - 1] - positions[0], 40) / 2;
+  }
+
+  // Typo tolerance for longer needles: one edit against a single word
+  if (needle.length >= 4) {
+    const words = haystack.split(/\W+/).filter(Boolean);
+    for (const word of words) {
+      const prefix = word.slice(0, needle.length + 1);
+      const sameLength = word.slice(0, needle.length);
+      if (editDistanceAtMostOne(needle, prefix) || editDistanceAtMostOne(needle, sameLength)) return 10;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Positions of the characters of `needle` in `haystack`, taken in order,
+ * or null if `needle` is not a subsequence.
+ * @returns {number[]|null}
+ */
+export function subsequencePositions(needle, haystack) {
+  const positions = [];
+  let from = 0;
+  for (const char of needle) {
+    if (char === " ") continue;
+    const pos = haystack.indexOf(char, from);
+    if (pos === -1) return null;
+    positions.push(pos);
+    from = pos + 1;
+  }
+  return positions;
+}
+
+/** True if `a` and `b` differ by at most one insertion, deletion, substitution or transposition. */
+export function editDistanceAtMostOne(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    // Substitution, or transposition of two neighbours
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  }
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
@@ -1,7 +1,15 @@
 export { FilteredSelectMultiple } from "./FilteredSelectMultiple.js";
+export { autoInit } from "./autoInit.js";
 export { 
   defaultTheme, 
   bootstrap5Theme, 
   daisyUITheme, 
-  tailwindTheme 
+  tailwindTheme,
+  bulmaTheme,
+  foundationTheme,
+  picoTheme,
+  djangoAdminTheme,
+  themes,
+  createTheme
 } from "./themes.js";
+export { locales } from "./locales.js";
@@ -0,0 +1,539 @@
+/**
+ * ARIA listbox used instead of a native <select multiple> when a feature
+ * needs full control over the rendered rows (e.g. virtualization).
+ *
+ * Mirrors the native multi-select semantics: click, Ctrl/Cmd+click and
+ * Shift+click selection, arrow-key navigation with Shift to extend and
+ * Ctrl to move without selecting, Space to toggle, Ctrl/Cmd+A to select all
+ * and typeahead (typing the start of a label moves to it).
+ * Fires a bubbling `change` event on `el` whenever the user changes the
+ * selection, just like a native select.
+ *
+ * Rows can be dragged (`draggable`) and dropped on any listbox whose
+ * `canDrop` accepts them; the drop position is reported as the key of the
+ * row the dragged rows should be inserted before.
+ */
+
+const DEFAULT_ROW_HEIGHT = 24;
+const OVERSCAN = 6;
+/** Pause in ms after which typeahead starts a new search. */
+const TYPEAHEAD_TIMEOUT = 500;
+
+let listboxCounter = 0;
+
+/** The drag in progress, shared by all listboxes: `{ source, keys }`. */
+let dragState = null;
+
+function classList(value) {
+  return (value || "").split(/\s+/).filter(Boolean);
+}
+
+export class Listbox {
+  /**
+   * @param {Document} doc
+   * @param {object} options
+   * @param {number} options.size - Number of visible rows.
+   * @param {boolean} [options.virtual=false] - Only render the rows in view.
+   * @param {number|null} [options.rowHeight] - Fixed row height in px (measured when omitted).
+   * @param {object} options.classes - Theme class strings (`listbox`, `option`,
+   *   `selected`, `active`, `disabled`, `group`, `dropBefore`, `dropAfter`,
+   *   `dropTarget`).
+   * @param {(entry: object, row: HTMLElement) => void} [options.renderRow] - Fill a row.
+   * @param {boolean} [options.draggable=false] - Allow dragging rows.
+   * @param {(source: Listbox, keys: string[]) => boolean} [options.canDrop] - Accept a drag.
+   * @param {(drop: {keys: string[], source: Listbox, beforeKey: string|null}) => void} [options.onDrop]
+   */
+  constructor(doc, {
+    size,
+    virtual = false,
+    rowHeight = null,
+    classes,
+    renderRow = null,
+    draggable = false,
+    canDrop = null,
+    onDrop = null,
+  }) {
+    this.doc = doc;
+    this.size = size;
+    this.virtual = virtual;
+    this.rowHeight = rowHeight;
+    this.renderRow = renderRow ?? ((entry, row) => { row.textContent = entry.label; });
+    this.id = `fsm-listbox-${++listboxCounter}`;
+    this.draggable = draggable;
+    this.canDrop = canDrop ?? (() => false);
+    this.onDrop = onDrop;
+
+    this.classes = {
+      option: classList(classes.option),
+      selected: classList(classes.selected),
+      active: classList(classes.active),
+      disabled: classList(classes.disabled),
+      group: classList(classes.group),
+      dropBefore: classList(classes.dropBefore),
+      dropAfter: classList(classes.dropAfter),
+      dropTarget: classList(classes.dropTarget),
+    };
+
+    /** Rows: `{ type: "group", label }` or `{ type: "option", key, label, disabled, ... }` */
+    this.entries = [];
+    this.selected = new Set();
+    this.activeKey = null;
+    this.anchorKey = null;
+    this._disabled = false;
+    this._options = [];
+    this._positions = new Map();
+    this._optionIndex = new Map();
+    this._rowElements = new Map();
+    this._frame = 0;
+    this._dropRow = null;
+    this._dropBeforeKey = null;
+    this._typeahead = "";
+    this._typeaheadTime = 0;
+
+    this.el = doc.createElement("div");
+    this.el.id = this.id;
+    this.el.className = classes.listbox || "";
+    this.el.tabIndex = 0;
+    this.el.setAttribute("role", "listbox");
+    this.el.setAttribute("aria-multiselectable", "true");
+    this.el.style.overflowY = "auto";
+
+    // Virtual mode: a full-height spacer holds a translated window of rows
+    this.spacer = doc.createElement("div");
+    this.spacer.style.position = "relative";
+    this.window = doc.createElement("div");
+    this.spacer.appendChild(this.window);
+    this.el.appendChild(this.spacer);
+
+    this._applyHeight();
+  }
+
+  /**
+   * Attach DOM listeners.
+   * @param {AbortSignal} signal - Removes the listeners when aborted.
+   */
+  listen(signal) {
+    this.el.addEventListener("click", (e) => this._onClick(e), { signal });
+    this.el.addEventListener("keydown", (e) => this._onKeydown(e), { signal });
+    this.el.addEventListener("scroll", () => {
+      if (!this.virtual || this._frame) return;
+      this._frame = requestAnimationFrame(() => {
+        this._frame = 0;
+        this.render();
+      });
+    }, { signal });
+    signal.addEventListener("abort", () => cancelAnimationFrame(this._frame));
+
+    this.el.addEventListener("dragstart", (e) => this._onDragStart(e), { signal });
+    this.el.addEventListener("dragend", () => {
+      dragState = null;
+      this._setDropRow(null);
+      this._setDropTarget(false);
+    }, { signal });
+    this.el.addEventListener("dragover", (e) => this._onDragOver(e), { signal });
+    this.el.addEventListener("dragleave", (e) => {
+      if (this.el.contains(e.relatedTarget)) return;
+      this._setDropRow(null);
+      this._setDropTarget(false);
+    }, { signal });
+    this.el.addEventListener("drop", (e) => this._onDrop(e), { signal });
+  }
+
+  get disabled() {
+    return this._disabled;
+  }
+
+  set disabled(value) {
+    this._disabled = Boolean(value);
+    this.el.tabIndex = this._disabled ? -1 : 0;
+    this.el.setAttribute("aria-disabled", String(this._disabled));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Data
+  // ---------------------------------------------------------------------------
+
+  /** Replace the rows. Selection is kept for keys that are still present. */
+  setEntries(entries) {
+    this.entries = entries;
+    this._options = [];
+    this._positions = new Map();
+    this._optionIndex = new Map();
+    entries.forEach((entry, position) => {
+      if (entry.type !== "option") return;
+      this._positions.set(entry.key, position);
+      this._optionIndex.set(entry.key, this._options.length);
+      this._options.push(entry);
+    });
+
+    this.selected.forEach((key) => {
+      if (!this._positions.has(key)) this.selected.delete(key);
+    });
+    if (this.activeKey !== null && !this._positions.has(this.activeKey)) this.activeKey = null;
+    if (this.anchorKey !== null && !this._positions.has(this.anchorKey)) this.anchorKey = null;
+
+    this.render();
+  }
+
+  /** Keys of all option rows in display order. */
+  getKeys() {
+    return this._options.map((entry) => entry.key);
+  }
+
+  /** Selected keys in display order. */
+  getSelectedKeys() {
+    return this._options.filter((entry) => this.selected.has(entry.key)).map((entry) => entry.key);
+  }
+
+  /** Replace the selection (no `change` event, like setting `option.selected`). */
+  setSelectedKeys(keys) {
+    this.selected = new Set(keys.filter((key) => this._positions.has(key)));
+    this._syncRowStates();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  render() {
+    this._measure();
+    const total = this.entries.length;
+    let start = 0;
+    let end = total;
+
+    if (this.virtual) {
+      const height = this.rowHeight || DEFAULT_ROW_HEIGHT;
+      start = Math.max(0, Math.floor(this.el.scrollTop / height) - OVERSCAN);
+      end = Math.min(total, start + this.size + OVERSCAN * 2);
+      this.spacer.style.height = `${total * height}px`;
+      this.window.style.transform = `translateY(${start * height}px)`;
+    }
+
+    const fragment = this.doc.createDocumentFragment();
+    this._rowElements = new Map();
+    for (let i = start; i < end; i++) {
+      fragment.appendChild(this._createRow(this.entries[i]));
+    }
+    this.window.replaceChildren(fragment);
+    this._syncActiveDescendant();
+  }
+
+  _createRow(entry) {
+    const row = this.doc.createElement("div");
+    if (this.virtual && this.rowHeight) row.style.height = `${this.rowHeight}px`;
+
+    if (entry.type === "group") {
+      row.setAttribute("role", "presentation");
+      row.classList.add(...this.classes.group);
+      row.dataset.groupLabel = entry.label;
+      row.textContent = entry.label;
+      return row;
+    }
+
+    row.id = `${this.id}-${entry.key}`;
+    row.setAttribute("role", "option");
+    row.dataset.key = entry.key;
+    if (entry.group != null) row.dataset.group = entry.group;
+    if (entry.title) row.title = entry.title;
+    if (this.virtual) {
+      row.setAttribute("aria-setsize", String(this._options.length));
+      row.setAttribute("aria-posinset", String(this._optionIndex.get(entry.key) + 1));
+    }
+    row.classList.add(...this.classes.option);
+    if (this.draggable && !entry.disabled) row.draggable = true;
+    this.renderRow(entry, row);
+    this._rowElements.set(entry.key, row);
+    this._applyRowState(row, entry);
+    return row;
+  }
+
+  _applyRowState(row, entry) {
+    const selected = this.selected.has(entry.key);
+    const active = this.activeKey === entry.key;
+    row.setAttribute("aria-selected", String(selected));
+    if (entry.disabled) row.setAttribute("aria-disabled", "true");
+    toggleClasses(row, this.classes.selected, selected);
+    toggleClasses(row, this.classes.active, active);
+    toggleClasses(row, this.classes.disabled, Boolean(entry.disabled));
+  }
+
+  /** Update selection/active classes of rendered rows without rebuilding them. */
+  _syncRowStates() {
+    this._rowElements.forEach((row, key) => {
+      const entry = this.entries[this._positions.get(key)];
+      if (entry) this._applyRowState(row, entry);
+    });
+    this._syncActiveDescendant();
+  }
+
+  _syncActiveDescendant() {
+    if (this.activeKey !== null && this._rowElements.has(this.activeKey)) {
+      this.el.setAttribute("aria-activedescendant", `${this.id}-${this.activeKey}`);
+    } else {
+      this.el.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /** Measure the row height once, from the first rendered option. */
+  _measure() {
+    if (this.rowHeight || this._options.length === 0) return;
+    const probe = this._createRow(this._options[0]);
+    this.window.appendChild(probe);
+    const measured = probe.offsetHeight;
+    probe.remove();
+    this._rowElements.delete(this._options[0].key);
+    if (!measured) return;
+    this.rowHeight = measured;
+    this._applyHeight();
+  }
+
+  _applyHeight() {
+    const height = this.rowHeight || DEFAULT_ROW_HEIGHT;
+    this.el.style.height = `${this.size * height}px`;
+  }
+
+  _scrollToKey(key) {
+    const position = this._positions.get(key);
+    if (position === undefined) return;
+    if (!this.virtual) {
+      this._rowElements.get(key)?.scrollIntoView({ block: "nearest" });
+      return;
+    }
+    const height = this.rowHeight || DEFAULT_ROW_HEIGHT;
+    const top = position * height;
+    if (top < this.el.scrollTop) {
+      this.el.scrollTop = top;
+    } else if (top + height > this.el.scrollTop + this.el.clientHeight) {
+      this.el.scrollTop = top + height - this.el.clientHeight;
+    }
+    this.render();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Interaction
+  // ---------------------------------------------------------------------------
+
+  _onClick(e) {
+    if (this._disabled) return;
+    const row = e.target.closest("[role='option']");
+    if (!row || !this.el.contains(row)) return;
+    const key = row.dataset.key;
+    const entry = this.entries[this._positions.get(key)];
+    if (!entry || entry.disabled) return;
+
+    if (e.shiftKey && this.anchorKey !== null) {
+      this._selectRange(this.anchorKey, key, e.ctrlKey || e.metaKey);
+    } else if (e.ctrlKey || e.metaKey) {
+      this._toggle(key);
+      this.anchorKey = key;
+    } else {
+      this.selected = new Set([key]);
+      this.anchorKey = key;
+    }
+    this.activeKey = key;
+    this._syncRowStates();
+    this._emitChange();
+  }
+
+  _onKeydown(e) {
+    // Alt+key combinations are left to the owner (e.g. reordering)
+    if (this._disabled || this._options.length === 0 || e.altKey) return;
+    const ctrl = e.ctrlKey || e.metaKey;
+
+    if (ctrl && e.key.toLowerCase() === "a") {
+      e.preventDefault();
+      this.selected = new Set(this._options.filter((o) => !o.disabled).map((o) => o.key));
+      this._syncRowStates();
+      this._emitChange();
+      return;
+    }
+
+    // Printable keys search by label; Space only continues a search
+    if (Date.now() - this._typeaheadTime > TYPEAHEAD_TIMEOUT) this._typeahead = "";
+    if (!ctrl && e.key.length === 1 && (e.key !== " " || this._typeahead !== "")) {
+      const target = this._typeaheadTarget(e.key);
+      if (target) {
+        e.preventDefault();
+        this.moveTo(target.key);
+      }
+      return;
+    }
+
+    if (e.key === " " && this.activeKey !== null) {
+      e.preventDefault();
+      const entry = this.entries[this._positions.get(this.activeKey)];
+      if (entry.disabled) return;
+      if (ctrl) this._toggle(this.activeKey);
+      else this.selected.add(this.activeKey);
+      this.anchorKey = this.activeKey;
+      this._syncRowStates();
+      this._emitChange();
+      return;
+    }
+
+    const target = this._navigationTarget(e.key);
+    if (target === null) return;
+    e.preventDefault();
+    this.moveTo(target.key, { extend: e.shiftKey, keepSelection: ctrl && !e.shiftKey });
+  }
+
+  /**
+   * Move the active row to `key`, selecting it like a native listbox would.
+   * @param {string} key
+   * @param {{extend?: boolean, keepSelection?: boolean, silent?: boolean}} [options]
+   */
+  moveTo(key, { extend = false, keepSelection = false, silent = false } = {}) {
+    if (!this._positions.has(key)) return;
+    this.activeKey = key;
+    if (extend) {
+      this._selectRange(this.anchorKey ?? key, key, false);
+    } else if (!keepSelection) {
+      const entry = this.entries[this._positions.get(key)];
+      this.selected = entry.disabled ? new Set() : new Set([key]);
+      this.anchorKey = key;
+    }
+    this._scrollToKey(key);
+    this._syncRowStates();
+    if (!keepSelection && !silent) this._emitChange();
+  }
+
+  _navigationTarget(key) {
+    const options = this._options;
+    const current = this._optionIndex.get(this.activeKey) ?? -1;
+    const page = Math.max(1, this.size - 1);
+    let index;
+    switch (key) {
+      case "ArrowDown": index = current < 0 ? 0 : current + 1; break;
+      case "ArrowUp": index = current < 0 ? 0 : current - 1; break;
+      case "PageDown": index = Math.max(current, 0) + page; break;
+      case "PageUp": index = Math.max(current, 0) - page; break;
+      case "Home": index = 0; break;
+      case "End": index = options.length - 1; break;
+      default: return null;
+    }
+    return options[Math.min(Math.max(index, 0), options.length - 1)];
+  }
+
+  /** The next enabled option whose label starts with the typed text. */
+  _typeaheadTarget(char) {
+    this._typeaheadTime = Date.now();
+    this._typeahead += char.toLowerCase();
+
+    // Repeating one character cycles through the labels starting with it
+    const search = /^(.)\1*$/su.test(this._typeahead) ? this._typeahead[0] : this._typeahead;
+    const options = this._options;
+    const current = this._optionIndex.get(this.activeKey) ?? -1;
+    // A new search starts after the active option, a longer one may stay on it
+    const first = search.length === 1 ? current + 1 : Math.max(current, 0);
+    for (let i = 0; i < options.length; i++) {
+      const option = options[(first + i) % options.length];
+      if (!option.disabled && option.label.toLowerCase().startsWith(search)) return option;
+    }
+    return null;
+  }
+
+  _selectRange(fromKey, toKey, additive) {
+    const from = this._optionIndex.get(fromKey);
+    const to = this._optionIndex.get(toKey);
+    const [lo, hi] = from <= to ? [from, to] : [to, from];
+    const next = additive ? new Set(this.selected) : new Set();
+    this._options.slice(lo, hi + 1).forEach((o) => {
+      if (!o.disabled) next.add(o.key);
+    });
+    this.selected = next;
+  }
+
+  _toggle(key) {
+    if (this.selected.has(key)) this.selected.delete(key);
+    else this.selected.add(key);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drag and drop
+  // ---------------------------------------------------------------------------
+
+  _onDragStart(e) {
+    const row = e.target.closest?.("[role='option']");
+    const entry = row && this.entries[this._positions.get(row.dataset.key)];
+    if (this._disabled || !entry || entry.disabled) {
+      e.preventDefault();
+      return;
+    }
+
+    // Dragging an unselected row drags just that row
+    if (!this.selected.has(entry.key)) {
+      this.selected = new Set([entry.key]);
+      this.anchorKey = entry.key;
+      this.activeKey = entry.key;
+      this._syncRowStates();
+      this._emitChange();
+    }
+
+    const keys = this.getSelectedKeys();
+    dragState = { source: this, keys };
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData(
+      "text/plain",
+      keys.map((key) => this.entries[this._positions.get(key)].label).join("\n")
+    );
+  }
+
+  _onDragOver(e) {
+    if (this._disabled || !dragState || !this.canDrop(dragState.source, dragState.keys)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    this._setDropTarget(true);
+
+    const row = e.target.closest?.("[role='option']");
+    if (!row || !this.el.contains(row)) {
+      this._setDropRow(null);
+      this._dropBeforeKey = null;
+      return;
+    }
+    const rect = row.getBoundingClientRect();
+    const before = e.clientY < rect.top + rect.height / 2;
+    this._setDropRow(row, before);
+    if (before) {
+      this._dropBeforeKey = row.dataset.key;
+    } else {
+      const next = this._options[this._optionIndex.get(row.dataset.key) + 1];
+      this._dropBeforeKey = next ? next.key : null;
+    }
+  }
+
+  _onDrop(e) {
+    if (this._disabled || !dragState || !this.canDrop(dragState.source, dragState.keys)) return;
+    e.preventDefault();
+    const { source, keys } = dragState;
+    const beforeKey = this._dropRow ? this._dropBeforeKey : null;
+    dragState = null;
+    this._setDropRow(null);
+    this._setDropTarget(false);
+    this.onDrop?.({ keys, source, beforeKey });
+  }
+
+  _setDropTarget(active) {
+    toggleClasses(this.el, this.classes.dropTarget, active);
+  }
+
+  /** Mark `row` as the drop position (`before` or after it), or clear it. */
+  _setDropRow(row, before = true) {
+    if (this._dropRow) {
+      toggleClasses(this._dropRow, this.classes.dropBefore, false);
+      toggleClasses(this._dropRow, this.classes.dropAfter, false);
+    }
+    this._dropRow = row;
+    if (row) {
+      toggleClasses(row, this.classes.dropBefore, before);
+      toggleClasses(row, this.classes.dropAfter, !before);
+    }
+  }
+
+  _emitChange() {
+    this.el.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+function toggleClasses(el, classes, force) {
+  classes.forEach((cls) => el.classList.toggle(cls, force));
+}
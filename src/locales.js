@@ -0,0 +1,201 @@
+/**
+ * Built-in UI text, one pack per language, selected with the `locale`
+ * option. Every string may contain `{placeholders}`; counts are rendered
+ * through plural objects keyed by Intl.PluralRules category (`one`, `few`,
+ * `many`, `other`, ...), with `other` as the fallback.
+ *
+ * Add a language by assigning a (partial) pack to `locales[tag]`; missing
+ * keys fall back to English.
+ */
+
+export const locales = {
+  en: {
+    availableLabel: "Available",
+    chosenLabel: "Chosen",
+    // Used when the labels are derived from a <label for> element
+    availableLabelPattern: "Available {label}",
+    chosenLabelPattern: "Chosen {label}",
+    filterPlaceholder: "Filter",
+    filterLabel: "{placeholder} {pane}",
+    controlsLabel: "Transfer controls",
+    reorderControlsLabel: "Reorder controls",
+    addAll: "Add all",
+    addSelected: "Add selected",
+    addGroup: "Add group",
+    removeGroup: "Remove group",
+    removeSelected: "Remove selected",
+    removeAll: "Remove all",
+    moveTop: "Move to top",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    moveBottom: "Move to bottom",
+    counter: "({total})",
+    counterFiltered: "({visible} / {total})",
+    counterLimit: "({total} / {max})",
+    minChosenMessage: { one: "Choose at least {min} item.", other: "Choose at least {min} items." },
+    maxChosenMessage: { one: "Choose at most {max} item.", other: "Choose at most {max} items." },
+    announceAdded: { one: "{count} item added to {pane}.", other: "{count} items added to {pane}." },
+    announceRemoved: { one: "{count} item removed from {pane}.", other: "{count} items removed from {pane}." },
+    announceFilter: {
+      one: "{visible} of {total} items in {pane} matches “{term}”.",
+      other: "{visible} of {total} items in {pane} match “{term}”.",
+    },
+    announceFilterCleared: { one: "{total} item in {pane}.", other: "{total} items in {pane}." },
+  },
+
+  de: {
+    availableLabel: "Verfügbar",
+    chosenLabel: "Ausgewählt",
+    availableLabelPattern: "Verfügbar: {label}",
+    chosenLabelPattern: "Ausgewählt: {label}",
+    filterPlaceholder: "Filtern",
+    filterLabel: "{pane} filtern",
+    controlsLabel: "Steuerelemente zum Übertragen",
+    reorderControlsLabel: "Steuerelemente zum Sortieren",
+    addAll: "Alle hinzufügen",
+    addSelected: "Auswahl hinzufügen",
+    addGroup: "Gruppe hinzufügen",
+    removeGroup: "Gruppe entfernen",
+    removeSelected: "Auswahl entfernen",
+    removeAll: "Alle entfernen",
+    moveTop: "Ganz nach oben",
+    moveUp: "Nach oben",
+    moveDown: "Nach unten",
+    moveBottom: "Ganz nach unten",
+    counter: "({total})",
+    counterFiltered: "({visible} / {total})",
+    counterLimit: "({total} / {max})",
+    minChosenMessage: {
+      one: "Wählen Sie mindestens {min} Eintrag.",
+      other: "Wählen Sie mindestens {min} Einträge.",
+    },
+    maxChosenMessage: {
+      one: "Wählen Sie höchstens {max} Eintrag.",
+      other: "Wählen Sie höchstens {max} Einträge.",
+    },
+    announceAdded: {
+      one: "{count} Eintrag zu {pane} hinzugefügt.",
+      other: "{count} Einträge zu {pane} hinzugefügt.",
+    },
+    announceRemoved: {
+      one: "{count} Eintrag aus {pane} entfernt.",
+      other: "{count} Einträge aus {pane} entfernt.",
+    },
+    announceFilter: {
+      one: "{visible} von {total} Einträgen in {pane} passt zu „{term}“.",
+      other: "{visible} von {total} Einträgen in {pane} passen zu „{term}“.",
+    },
+    announceFilterCleared: { one: "{total} Eintrag in {pane}.", other: "{total} Einträge in {pane}." },
+  },
+
+  fr: {
+    availableLabel: "Disponibles",
+    chosenLabel: "Choisis",
+    availableLabelPattern: "Disponibles : {label}",
+    chosenLabelPattern: "Choisis : {label}",
+    filterPlaceholder: "Filtrer",
+    filterLabel: "Filtrer {pane}",
+    controlsLabel: "Commandes de transfert",
+    reorderControlsLabel: "Commandes de réorganisation",
+    addAll: "Tout ajouter",
+    addSelected: "Ajouter la sélection",
+    addGroup: "Ajouter le groupe",
+    removeGroup: "Retirer le groupe",
+    removeSelected: "Retirer la sélection",
+    removeAll: "Tout retirer",
+    moveTop: "Placer en premier",
+    moveUp: "Monter",
+    moveDown: "Descendre",
+    moveBottom: "Placer en dernier",
+    counter: "({total})",
+    counterFiltered: "({visible} / {total})",
+    counterLimit: "({total} / {max})",
+    minChosenMessage: {
+      one: "Choisissez au moins {min} élément.",
+      other: "Choisissez au moins {min} éléments.",
+    },
+    maxChosenMessage: {
+      one: "Choisissez au plus {max} élément.",
+      other: "Choisissez au plus {max} éléments.",
+    },
+    announceAdded: {
+      one: "{count} élément ajouté à {pane}.",
+      other: "{count} éléments ajoutés à {pane}.",
+    },
+    announceRemoved: {
+      one: "{count} élément retiré de {pane}.",
+      other: "{count} éléments retirés de {pane}.",
+    },
+    announceFilter: {
+      one: "{visible} élément sur {total} dans {pane} correspond à « {term} ».",
+      other: "{visible} éléments sur {total} dans {pane} correspondent à « {term} ».",
+    },
+    announceFilterCleared: { one: "{total} élément dans {pane}.", other: "{total} éléments dans {pane}." },
+  },
+
+  es: {
+    availableLabel: "Disponibles",
+    chosenLabel: "Seleccionados",
+    availableLabelPattern: "Disponibles: {label}",
+    chosenLabelPattern: "Seleccionados: {label}",
+    filterPlaceholder: "Filtrar",
+    filterLabel: "Filtrar {pane}",
+    controlsLabel: "Controles de transferencia",
+    reorderControlsLabel: "Controles de ordenación",
+    addAll: "Añadir todos",
+    addSelected: "Añadir selección",
+    addGroup: "Añadir grupo",
+    removeGroup: "Quitar grupo",
+    removeSelected: "Quitar selección",
+    removeAll: "Quitar todos",
+    moveTop: "Mover al principio",
+    moveUp: "Subir",
+    moveDown: "Bajar",
+    moveBottom: "Mover al final",
+    counter: "({total})",
+    counterFiltered: "({visible} / {total})",
+    counterLimit: "({total} / {max})",
+    minChosenMessage: {
+      one: "Elija al menos {min} elemento.",
+      other: "Elija al menos {min} elementos.",
+    },
+    maxChosenMessage: {
+      one: "Elija como máximo {max} elemento.",
+      other: "Elija como máximo {max} elementos.",
+    },
+    announceAdded: {
+      one: "{count} elemento añadido a {pane}.",
+      other: "{count} elementos añadidos a {pane}.",
+    },
+    announceRemoved: {
+      one: "{count} elemento quitado de {pane}.",
+      other: "{count} elementos quitados de {pane}.",
+    },
+    announceFilter: {
+      one: "{visible} de {total} elementos en {pane} coincide con «{term}».",
+      other: "{visible} de {total} elementos en {pane} coinciden con «{term}».",
+    },
+    announceFilterCleared: { one: "{total} elemento en {pane}.", other: "{total} elementos en {pane}." },
+  },
+};
+
+/**
+ * Name of the pack for a BCP 47 tag: an exact match, else the base
+ * language ("de-CH" -> "de"), else "en".
+ * @param {string} [tag]
+ * @returns {string}
+ */
+export function localeKey(tag) {
+  const lower = String(tag ?? "").toLowerCase();
+  const find = (name) => Object.keys(locales).find((key) => key.toLowerCase() === name);
+  return find(lower) ?? find(lower.split("-")[0]) ?? "en";
+}
+
+/**
+ * The pack for a BCP 47 tag, see localeKey(), completed from English.
+ * @param {string} [tag]
+ * @returns {object}
+ */
+export function resolveLocale(tag) {
+  return { ...locales.en, ...locales[localeKey(tag)] };
+}
@@ -0,0 +1,472 @@
+/**
+ * Injection of the default CSS. Styles are tracked per root (Document or
+ * ShadowRoot), so widgets in shadow roots, iframes and other documents are
+ * styled as well.
+ */
+
+/**
+ * Default CSS, injected into every document and shadow root that contains a
+ * widget. Avoids the need for users to ship a separate .css file.
+ *
+ * Colors, radius, spacing and the focus ring come from `--fsm-*` custom
+ * properties. They are not declared here, only read with their default as
+ * fallback, so values inherited from the page (a `:root` rule, also across
+ * shadow roots) or set by the `cssVars` option apply. The default colors are
+ * private `--_fsm-*` properties on the widget's own elements, switched to
+ * their dark variant by `prefers-color-scheme` unless an ancestor has
+ * `data-fsm-color-scheme="light"`. Each use repeats the light color as last
+ * fallback for browsers that drop these rules.
+ */
+export const DEFAULT_CSS = `
+:where([class*="fsm-"]) {
+  --_fsm-color-primary: #0052cc;
+  --_fsm-color-primary-hover: #0a66e6;
+  --_fsm-color-surface: #fff;
+  --_fsm-color-text: #1f2937;
+  --_fsm-color-border: #d0d6e0;
+  --_fsm-color-muted-surface: #cbd5f5;
+  --_fsm-color-muted-text: #49526f;
+  --_fsm-color-highlight: #fde68a;
+  --_fsm-color-badge: #e5e7eb;
+  --_fsm-color-on-badge: #374151;
+  --_fsm-color-drop: #f0f5ff;
+  --_fsm-color-danger: #b42318;
+}
+@media (prefers-color-scheme: dark) {
+  :where([class*="fsm-"]):not(:where([data-fsm-color-scheme="light"], [data-fsm-color-scheme="light"] *)) {
+    --_fsm-color-primary: #3b82f6;
+    --_fsm-color-primary-hover: #60a5fa;
+    --_fsm-color-surface: #1f2430;
+    --_fsm-color-text: #e5e7eb;
+    --_fsm-color-border: #3a4252;
+    --_fsm-color-muted-surface: #2c3445;
+    --_fsm-color-muted-text: #8a93a6;
+    --_fsm-color-highlight: #854d0e;
+    --_fsm-color-badge: #374151;
+    --_fsm-color-on-badge: #e5e7eb;
+    --_fsm-color-drop: #1e2a44;
+    --_fsm-color-danger: #f97066;
+  }
+}
+.filtered-select-multiple {
+  display: flex;
+  gap: calc(var(--fsm-spacing, 0.5rem) * 2);
+  align-items: stretch;
+  flex-wrap: wrap;
+}
+.fsm-column {
+  display: flex;
+  flex-direction: column;
+  gap: var(--fsm-spacing, 0.5rem);
+  min-width: var(--fsm-column-width, 220px);
+  flex: 1 1 var(--fsm-column-width, 220px);
+}
+.fsm-label {
+  font-weight: 600;
+}
+.fsm-counter {
+  font-size: 0.85em;
+  opacity: 0.7;
+  font-weight: normal;
+}
+.fsm-filter {
+  padding: var(--fsm-spacing, 0.5rem);
+  border-radius: var(--fsm-radius, 6px);
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  background: var(--fsm-color-surface, var(--_fsm-color-surface, #fff));
+  color: var(--fsm-color-text, var(--_fsm-color-text, #1f2937));
+}
+.fsm-select {
+  min-width: var(--fsm-column-width, 220px);
+  padding: calc(var(--fsm-spacing, 0.5rem) / 2);
+  border-radius: var(--fsm-radius, 6px);
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  background: var(--fsm-color-surface, var(--_fsm-color-surface, #fff));
+  color: var(--fsm-color-text, var(--_fsm-color-text, #1f2937));
+  flex: 1 1 auto;
+}
+.fsm-listbox {
+  min-width: var(--fsm-column-width, 220px);
+  padding: calc(var(--fsm-spacing, 0.5rem) / 2);
+  border-radius: var(--fsm-radius, 6px);
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  background: var(--fsm-color-surface, var(--_fsm-color-surface, #fff));
+  color: var(--fsm-color-text, var(--_fsm-color-text, #1f2937));
+  flex: 1 1 auto;
+  user-select: none;
+}
+.fsm-filter:focus-visible,
+.fsm-select:focus-visible,
+.fsm-listbox:focus-visible,
+.fsm-button:focus-visible {
+  outline: var(--fsm-focus-ring-width, 2px) solid var(--fsm-focus-ring-color, var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc)));
+  outline-offset: var(--fsm-focus-ring-offset, 1px);
+}
+.fsm-option,
+.fsm-group-label {
+  padding: 0 calc(var(--fsm-spacing, 0.5rem) * 0.75);
+  line-height: 1.5rem;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: default;
+}
+.fsm-option[data-group] {
+  padding-left: calc(var(--fsm-spacing, 0.5rem) * 2.5);
+}
+.fsm-group-label {
+  font-weight: 600;
+}
+.fsm-option-selected {
+  background: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  color: var(--fsm-color-on-primary, #fff);
+}
+.fsm-option-active {
+  box-shadow: inset 0 0 0 1px var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+}
+.fsm-option-disabled {
+  opacity: 0.5;
+}
+.fsm-highlight {
+  background: var(--fsm-color-highlight, var(--_fsm-color-highlight, #fde68a));
+  color: inherit;
+  border-radius: 2px;
+  padding: 0;
+}
+.fsm-item {
+  display: flex;
+  align-items: center;
+  gap: var(--fsm-spacing, 0.5rem);
+}
+.fsm-item-image {
+  width: 1.75rem;
+  height: 1.75rem;
+  flex: none;
+  border-radius: 50%;
+  object-fit: cover;
+}
+.fsm-item-text {
+  display: flex;
+  flex: 1;
+  flex-direction: column;
+  min-width: 0;
+}
+.fsm-item-label,
+.fsm-item-secondary {
+  overflow: hidden;
+  text-overflow: ellipsis;
+}
+.fsm-item-secondary {
+  font-size: 0.8125em;
+  line-height: 1.25rem;
+  opacity: 0.75;
+}
+.fsm-item-badge {
+  flex: none;
+  padding: 0 calc(var(--fsm-spacing, 0.5rem) * 0.75);
+  border-radius: 999px;
+  background: var(--fsm-color-badge, var(--_fsm-color-badge, #e5e7eb));
+  color: var(--fsm-color-on-badge, var(--_fsm-color-on-badge, #374151));
+  font-size: 0.75em;
+  line-height: 1.25rem;
+}
+.fsm-drop-target {
+  border-color: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  border-style: dashed;
+  background: var(--fsm-color-drop, var(--_fsm-color-drop, #f0f5ff));
+}
+.fsm-drop-before {
+  box-shadow: inset 0 2px 0 var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+}
+.fsm-drop-after {
+  box-shadow: inset 0 -2px 0 var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+}
+.fsm-feedback {
+  font-size: 0.85em;
+  color: var(--fsm-color-danger, var(--_fsm-color-danger, #b42318));
+}
+.fsm-feedback:empty {
+  display: none;
+}
+.fsm-disabled {
+  opacity: var(--fsm-disabled-opacity, 0.6);
+}
+.fsm-sr-only {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  padding: 0;
+  margin: -1px;
+  overflow: hidden;
+  clip: rect(0, 0, 0, 0);
+  white-space: nowrap;
+  border: 0;
+}
+.fsm-controls {
+  display: flex;
+  flex-direction: column;
+  gap: var(--fsm-spacing, 0.5rem);
+  justify-content: center;
+}
+.fsm-button {
+  display: inline-flex;
+  align-items: center;
+  gap: 0.4em;
+  padding: var(--fsm-spacing, 0.5rem) calc(var(--fsm-spacing, 0.5rem) * 1.5);
+  border-radius: var(--fsm-radius, 6px);
+  border: none;
+  background: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  color: var(--fsm-color-on-primary, #fff);
+  cursor: pointer;
+  transition: background 0.2s ease-in-out;
+  white-space: nowrap;
+}
+.fsm-button svg {
+  height: 1.2em;
+  width: auto;
+  flex-shrink: 0;
+}
+.fsm-button:disabled,
+.fsm-button-disabled {
+  cursor: not-allowed;
+  background: var(--fsm-color-muted-surface, var(--_fsm-color-muted-surface, #cbd5f5));
+  color: var(--fsm-color-muted-text, var(--_fsm-color-muted-text, #49526f));
+}
+.fsm-button:not(:disabled):hover {
+  background: var(--fsm-color-primary-hover, var(--_fsm-color-primary-hover, #0a66e6));
+}
+.fsm-add-all,
+.fsm-add-group,
+.fsm-add-selected {
+  justify-content: flex-end;
+}
+.fsm-remove-selected,
+.fsm-remove-group,
+.fsm-remove-all,
+.fsm-move-top,
+.fsm-move-up,
+.fsm-move-down,
+.fsm-move-bottom {
+  justify-content: flex-start;
+}
+/* Pico CSS preset: default layout, colors from Pico's variables */
+.fsm-pico {
+  --fsm-color-primary: var(--pico-primary-background, #0172ad);
+  --fsm-color-primary-hover: var(--pico-primary-hover-background, #02659a);
+  --fsm-color-on-primary: var(--pico-primary-inverse, #fff);
+  --fsm-color-surface: var(--pico-form-element-background-color, #fbfcfc);
+  --fsm-color-text: var(--pico-color, #373c44);
+  --fsm-color-border: var(--pico-form-element-border-color, #cfd5e2);
+  --fsm-color-highlight: var(--pico-mark-background-color, #fde7c0);
+  --fsm-color-badge: var(--pico-muted-border-color, #e7eaf0);
+  --fsm-color-on-badge: var(--pico-muted-color, #646b79);
+  --fsm-color-danger: var(--pico-del-color, #b34d3f);
+  --fsm-radius: var(--pico-border-radius, 0.25rem);
+  --fsm-spacing: calc(var(--pico-spacing, 1rem) / 2);
+}
+.fsm-pico-filter,
+.fsm-pico-select {
+  margin-bottom: 0;
+}
+.fsm-pico-select {
+  flex: 1 1 auto;
+}
+.fsm-pico-button {
+  display: inline-flex;
+  align-items: center;
+  gap: 0.4em;
+  margin: 0;
+  white-space: nowrap;
+}
+/* Django admin look-alike preset, using the admin's variables where present */
+.fsm-django-selector {
+  --fsm-color-primary: var(--primary, #79aec8);
+  --fsm-color-primary-hover: var(--secondary, #417690);
+  --fsm-color-on-primary: var(--header-link-color, #fff);
+  --fsm-color-surface: var(--body-bg, #fff);
+  --fsm-color-text: var(--body-fg, #333);
+  --fsm-color-border: var(--border-color, #ccc);
+  --fsm-radius: 4px;
+  display: flex;
+  gap: 0 10px;
+  align-items: stretch;
+  font-size: 0.8125rem;
+}
+.fsm-django-column {
+  display: flex;
+  flex: 1 1 0;
+  flex-direction: column;
+  min-width: 0;
+}
+.fsm-django-label {
+  margin: 0;
+  padding: 8px;
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  border-radius: var(--fsm-radius, 6px) var(--fsm-radius, 6px) 0 0;
+  background: var(--darkened-bg, #f8f8f8);
+  color: var(--body-quiet-color, #666);
+  font-weight: 400;
+}
+.fsm-django-chosen .fsm-django-label {
+  border-color: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  background: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  color: var(--fsm-color-on-primary, #fff);
+}
+.fsm-django-filter {
+  box-sizing: border-box;
+  width: 100%;
+  margin: 0;
+  padding: 8px;
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  border-width: 0 1px;
+  border-radius: 0;
+  background: var(--fsm-color-surface, var(--_fsm-color-surface, #fff));
+  color: var(--fsm-color-text, var(--_fsm-color-text, #1f2937));
+  font-size: inherit;
+}
+.fsm-django-select {
+  box-sizing: border-box;
+  flex: 1 0 auto;
+  width: 100%;
+  min-height: 17.2em;
+  margin: 0;
+  padding: 0;
+  border: 1px solid var(--fsm-color-border, var(--_fsm-color-border, #d0d6e0));
+  border-radius: 0 0 var(--fsm-radius, 6px) var(--fsm-radius, 6px);
+  background: var(--fsm-color-surface, var(--_fsm-color-surface, #fff));
+  color: var(--fsm-color-text, var(--_fsm-color-text, #1f2937));
+  font-size: inherit;
+}
+.fsm-django-filter:focus-visible,
+.fsm-django-select:focus-visible {
+  outline: var(--fsm-focus-ring-width, 2px) solid var(--fsm-focus-ring-color, var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc)));
+  outline-offset: calc(var(--fsm-focus-ring-width, 2px) * -1);
+}
+.fsm-django-chooser {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  gap: 6px;
+}
+.fsm-django-button {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  margin: 0;
+  border: none;
+  cursor: pointer;
+}
+.fsm-django-button:disabled {
+  opacity: 0.55;
+  cursor: default;
+}
+/* The arrows show only their icon; the label stays as the accessible name */
+.fsm-django-arrow {
+  justify-content: center;
+  width: 24px;
+  height: 24px;
+  padding: 0;
+  border-radius: 50%;
+  background: var(--selected-bg, #e4e4e4);
+  color: var(--body-quiet-color, #666);
+  font-size: 0;
+}
+.fsm-django-arrow svg {
+  font-size: 13px;
+}
+.fsm-django-arrow:not(:disabled):hover {
+  background: var(--fsm-color-primary, var(--_fsm-color-primary, #0052cc));
+  color: var(--fsm-color-on-primary, #fff);
+}
+.fsm-django-link {
+  padding: 0;
+  background: none;
+  color: var(--body-quiet-color, #666);
+  font-size: inherit;
+  font-weight: bold;
+  line-height: 16px;
+}
+.fsm-django-link:not(:disabled):hover {
+  color: var(--link-hover-color, #036);
+}
+@media (max-width: 640px) {
+  .filtered-select-multiple {
+    flex-direction: column;
+    align-items: stretch;
+  }
+  .fsm-controls {
+    flex-direction: row;
+    justify-content: center;
+  }
+  .fsm-django-selector {
+    flex-direction: column;
+  }
+  .fsm-django-chooser {
+    flex-direction: row;
+  }
+}
+`;
+
+/** Roots that already have the default CSS. */
+const injectedRoots = new WeakSet();
+
+/** Constructed stylesheet per document, shared by its shadow roots. */
+const sheets = new WeakMap();
+
+/**
+ * Add the default CSS to `root` unless it already has it. Uses a
+ * constructable stylesheet where supported, else a `<style>` element
+ * carrying `nonce` for pages with a Content Security Policy.
+ * @param {Document|ShadowRoot} root
+ * @param {object} [config]
+ * @param {string} [config.nonce] - CSP nonce for the `<style>` element.
+ */
+export function injectDefaultCSS(root, { nonce } = {}) {
+  if (injectedRoots.has(root)) return;
+  injectedRoots.add(root);
+
+  const doc = root.ownerDocument ?? root;
+  const sheet = getSheet(doc);
+  if (sheet) {
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    return;
+  }
+
+  const style = doc.createElement("style");
+  style.setAttribute("data-fsm-default-theme", "");
+  if (nonce) style.nonce = nonce;
+  style.textContent = DEFAULT_CSS;
+  // Last in the document head, but first in a shadow root so the component's
+  // own styles still win
+  if (root === doc) doc.head.appendChild(style);
+  else root.prepend(style);
+}
+
+/**
+ * The root whose styles apply to `node`: its shadow root, else its document
+ * (also for nodes not yet attached).
+ * @param {Node} node
+ * @returns {Document|ShadowRoot}
+ */
+export function styleRoot(node) {
+  const root = node.getRootNode();
+  return root.host && root.nodeType === 11 ? root : node.ownerDocument;
+}
+
+/**
+ * The stylesheet for `doc`, or null without constructable stylesheet
+ * support. A sheet can only be adopted within the document whose window
+ * constructed it, hence one per document.
+ */
+function getSheet(doc) {
+  if (sheets.has(doc)) return sheets.get(doc);
+  const view = doc.defaultView;
+  let sheet = null;
+  if (view && "adoptedStyleSheets" in doc && typeof view.CSSStyleSheet?.prototype.replaceSync === "function") {
+    sheet = new view.CSSStyleSheet();
+    sheet.replaceSync(DEFAULT_CSS);
+  }
+  sheets.set(doc, sheet);
+  return sheet;
+}
@@ -4,6 +4,7 @@
  *
  * All keys use camelCase. Every key listed in defaultTheme MUST be present
  * in custom themes (missing keys are filled from defaultTheme at runtime).
+ * createTheme() derives a theme from a preset.
  */
 
 /**
@@ -11,20 +12,46 @@
  */
 export const defaultTheme = {
   container: "filtered-select-multiple",
+  containerDisabled: "fsm-disabled",
   column: "fsm-column",
   availableColumn: "fsm-available",
   chosenColumn: "fsm-chosen",
   label: "fsm-label",
   filter: "fsm-filter",
   select: "fsm-select",
+  listbox: "fsm-listbox",
+  listboxOption: "fsm-option",
+  listboxOptionSelected: "fsm-option-selected",
+  listboxOptionActive: "fsm-option-active",
+  listboxOptionDisabled: "fsm-option-disabled",
+  listboxGroup: "fsm-group-label",
+  highlight: "fsm-highlight",
+  item: "fsm-item",
+  itemImage: "fsm-item-image",
+  itemText: "fsm-item-text",
+  itemLabel: "fsm-item-label",
+  itemSecondary: "fsm-item-secondary",
+  itemBadge: "fsm-item-badge",
+  listboxDropBefore: "fsm-drop-before",
+  listboxDropAfter: "fsm-drop-after",
+  dropTarget: "fsm-drop-target",
   controls: "fsm-controls",
   button: "fsm-button",
   buttonAddAll: "fsm-add-all",
+  buttonAddGroup: "fsm-add-group",
   buttonAddSelected: "fsm-add-selected",
   buttonRemoveSelected: "fsm-remove-selected",
+  buttonRemoveGroup: "fsm-remove-group",
   buttonRemoveAll: "fsm-remove-all",
+  reorderControls: "fsm-controls",
+  buttonMoveTop: "fsm-move-top",
+  buttonMoveUp: "fsm-move-up",
+  buttonMoveDown: "fsm-move-down",
+  buttonMoveBottom: "fsm-move-bottom",
   buttonDisabled: "fsm-button-disabled",
   counter: "fsm-counter",
+  feedback: "fsm-feedback",
+  liveRegion: "fsm-sr-only",
 };
 
 /**
@@ -32,20 +59,46 @@ export const defaultTheme = {
  */
 export const bootstrap5Theme = {
   container: "d-flex gap-3",
+  containerDisabled: "opacity-50",
   column: "d-flex flex-column",
   availableColumn: "d-flex flex-column",
   chosenColumn: "d-flex flex-column",
   label: "form-label fw-semibold mb-2",
   filter: "form-control form-control-sm mb-2",
   select: "form-select flex-grow-1",
+  listbox: "form-control flex-grow-1 p-1",
+  listboxOption: "px-2 text-truncate rounded-1",
+  listboxOptionSelected: "bg-primary text-white",
+  listboxOptionActive: "text-decoration-underline",
+  listboxOptionDisabled: "opacity-50",
+  listboxGroup: "px-2 fw-semibold",
+  highlight: "mark p-0",
+  item: "d-flex align-items-center gap-2",
+  itemImage: "rounded-circle flex-shrink-0 object-fit-cover",
+  itemText: "d-flex flex-column flex-grow-1 text-truncate",
+  itemLabel: "text-truncate",
+  itemSecondary: "small text-body-secondary text-truncate",
+  itemBadge: "badge text-bg-secondary flex-shrink-0",
+  listboxDropBefore: "border-top border-2 border-primary",
+  listboxDropAfter: "border-bottom border-2 border-primary",
+  dropTarget: "border-primary bg-primary-subtle",
   controls: "d-flex flex-column justify-content-center gap-2 px-3",
   button: "btn btn-sm d-inline-flex align-items-center gap-1",
   buttonAddAll: "btn-outline-primary justify-content-end",
+  buttonAddGroup: "btn-outline-primary justify-content-end",
   buttonAddSelected: "btn-primary justify-content-end",
   buttonRemoveSelected: "btn-primary justify-content-start",
+  buttonRemoveGroup: "btn-outline-primary justify-content-start",
   buttonRemoveAll: "btn-outline-primary justify-content-start",
+  reorderControls: "d-flex flex-column justify-content-center gap-2 ps-3",
+  buttonMoveTop: "btn-outline-secondary justify-content-start",
+  buttonMoveUp: "btn-outline-secondary justify-content-start",
+  buttonMoveDown: "btn-outline-secondary justify-content-start",
+  buttonMoveBottom: "btn-outline-secondary justify-content-start",
   buttonDisabled: "btn-secondary",
   counter: "text-muted small",
+  feedback: "invalid-feedback d-block",
+  liveRegion: "visually-hidden",
 };
 
 /**
@@ -53,20 +106,46 @@ export const bootstrap5Theme = {
  */
 export const daisyUITheme = {
   container: "flex gap-4",
+  containerDisabled: "opacity-50",
   column: "flex flex-col",
   availableColumn: "flex flex-col",
   chosenColumn: "flex flex-col",
   label: "label label-text font-semibold mb-2",
   filter: "input input-bordered input-sm mb-2 w-full",
   select: "select select-bordered w-full flex-grow",
+  listbox: "textarea textarea-bordered w-full flex-grow p-1",
+  listboxOption: "px-2 truncate rounded cursor-default",
+  listboxOptionSelected: "bg-primary text-primary-content",
+  listboxOptionActive: "ring-1 ring-inset ring-primary",
+  listboxOptionDisabled: "opacity-50",
+  listboxGroup: "px-2 font-semibold",
+  highlight: "bg-warning/40 text-inherit rounded-sm",
+  item: "flex items-center gap-2",
+  itemImage: "size-7 shrink-0 rounded-full object-cover",
+  itemText: "flex min-w-0 flex-1 flex-col",
+  itemLabel: "truncate",
+  itemSecondary: "truncate text-xs opacity-70",
+  itemBadge: "badge badge-sm badge-ghost shrink-0",
+  listboxDropBefore: "border-t-2 border-primary",
+  listboxDropAfter: "border-b-2 border-primary",
+  dropTarget: "border-primary bg-primary/10",
   controls: "flex flex-col justify-center gap-2 px-4",
   button: "btn btn-sm inline-flex items-center gap-1",
   buttonAddAll: "btn-outline btn-secondary justify-end",
+  buttonAddGroup: "btn-outline btn-primary justify-end",
   buttonAddSelected: "btn-primary justify-end",
   buttonRemoveSelected: "btn-primary justify-start",
+  buttonRemoveGroup: "btn-outline btn-primary justify-start",
   buttonRemoveAll: "btn-outline btn-secondary justify-start",
+  reorderControls: "flex flex-col justify-center gap-2 pl-4",
+  buttonMoveTop: "btn-outline justify-start",
+  buttonMoveUp: "btn-outline justify-start",
+  buttonMoveDown: "btn-outline justify-start",
+  buttonMoveBottom: "btn-outline justify-start",
   buttonDisabled: "btn-disabled",
   counter: "text-sm opacity-70",
+  feedback: "text-error text-sm mt-1",
+  liveRegion: "sr-only",
 };
 
 /**
@@ -74,18 +153,311 @@ export const daisyUITheme = {
  */
 export const tailwindTheme = {
   container: "flex gap-4",
+  containerDisabled: "opacity-50",
   column: "flex flex-col",
   availableColumn: "flex flex-col",
   chosenColumn: "flex flex-col",
   label: "font-semibold text-sm mb-2",
   filter: "border border-slate-300 rounded px-3 py-2 text-sm mb-2 focus:outline-none focus:ring-2 focus:ring-blue-500",
   select: "border border-slate-300 rounded px-2 py-1 min-w-[200px] flex-grow",
+  listbox: "border border-slate-300 rounded p-1 min-w-[200px] flex-grow",
+  listboxOption: "px-2 truncate rounded-sm cursor-default",
+  listboxOptionSelected: "bg-blue-600 text-white",
+  listboxOptionActive: "ring-1 ring-inset ring-blue-500",
+  listboxOptionDisabled: "opacity-50",
+  listboxGroup: "px-2 font-semibold",
+  highlight: "bg-yellow-200 text-inherit rounded-sm",
+  item: "flex items-center gap-2",
+  itemImage: "size-7 shrink-0 rounded-full object-cover",
+  itemText: "flex min-w-0 flex-1 flex-col",
+  itemLabel: "truncate",
+  itemSecondary: "truncate text-xs text-gray-500",
+  itemBadge: "shrink-0 rounded-full bg-gray-100 px-2 text-xs text-gray-700",
+  listboxDropBefore: "border-t-2 border-blue-600",
+  listboxDropAfter: "border-b-2 border-blue-600",
+  dropTarget: "border-blue-500 bg-blue-50",
   controls: "flex flex-col justify-center gap-2 px-4",
   button: "inline-flex items-center gap-2 px-3 py-2 text-sm border rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
   buttonAddAll: "border-slate-300 hover:bg-slate-50 justify-end",
+  buttonAddGroup: "border-blue-600 text-blue-700 hover:bg-blue-50 justify-end",
   buttonAddSelected: "bg-blue-600 text-white border-blue-600 hover:bg-blue-700 justify-end",
   buttonRemoveSelected: "bg-blue-600 text-white border-blue-600 hover:bg-blue-700 justify-start",
+  buttonRemoveGroup: "border-blue-600 text-blue-700 hover:bg-blue-50 justify-start",
   buttonRemoveAll: "border-slate-300 hover:bg-slate-50 justify-start",
+  reorderControls: "flex flex-col justify-center gap-2 pl-4",
+  buttonMoveTop: "border-slate-300 hover:bg-slate-50 justify-start",
+  buttonMoveUp: "border-slate-300 hover:bg-slate-50 justify-start",
+  buttonMoveDown: "border-slate-300 hover:bg-slate-50 justify-start",
+  buttonMoveBottom: "border-slate-300 hover:bg-slate-50 justify-start",
   buttonDisabled: "",
   counter: "text-xs text-slate-500",
+  feedback: "text-sm text-red-600 mt-1",
+  liveRegion: "sr-only",
 };
+
+/**
+ * Bulma 1 theme preset. Bulma has no classes for listbox rows, drop markers
+ * and item images, so those keep the default .fsm-* classes.
+ */
+export const bulmaTheme = {
+  container: "is-flex is-flex-wrap-wrap is-gap-2",
+  containerDisabled: "fsm-disabled",
+  column: "is-flex is-flex-direction-column is-flex-grow-1",
+  availableColumn: "is-flex is-flex-direction-column",
+  chosenColumn: "is-flex is-flex-direction-column",
+  label: "label mb-2",
+  filter: "input is-small mb-2",
+  select: "textarea has-fixed-size is-flex-grow-1 p-1",
+  listbox: "textarea has-fixed-size is-flex-grow-1 p-1",
+  listboxOption: "fsm-option",
+  listboxOptionSelected: "has-background-link has-text-white",
+  listboxOptionActive: "is-underlined",
+  listboxOptionDisabled: "has-text-grey-light",
+  listboxGroup: "px-2 has-text-weight-semibold",
+  highlight: "has-background-warning-light p-0",
+  item: "is-flex is-align-items-center is-gap-1",
+  itemImage: "fsm-item-image",
+  itemText: "fsm-item-text",
+  itemLabel: "fsm-item-label",
+  itemSecondary: "fsm-item-secondary is-size-7 has-text-grey",
+  itemBadge: "tag is-rounded is-small",
+  listboxDropBefore: "fsm-drop-before",
+  listboxDropAfter: "fsm-drop-after",
+  dropTarget: "has-background-link-light",
+  controls: "is-flex is-flex-direction-column is-justify-content-center is-gap-1 px-3",
+  button: "button is-small",
+  buttonAddAll: "is-link is-outlined is-justify-content-flex-end",
+  buttonAddGroup: "is-link is-outlined is-justify-content-flex-end",
+  buttonAddSelected: "is-link is-justify-content-flex-end",
+  buttonRemoveSelected: "is-link is-justify-content-flex-start",
+  buttonRemoveGroup: "is-link is-outlined is-justify-content-flex-start",
+  buttonRemoveAll: "is-link is-outlined is-justify-content-flex-start",
+  reorderControls: "is-flex is-flex-direction-column is-justify-content-center is-gap-1 pl-3",
+  buttonMoveTop: "is-justify-content-flex-start",
+  buttonMoveUp: "is-justify-content-flex-start",
+  buttonMoveDown: "is-justify-content-flex-start",
+  buttonMoveBottom: "is-justify-content-flex-start",
+  buttonDisabled: "",
+  counter: "has-text-grey has-text-weight-normal is-size-7",
+  feedback: "help is-danger",
+  liveRegion: "is-sr-only",
+};
+
+/**
+ * Foundation 6 theme preset (XY grid and flexbox utilities). Listbox rows
+ * and item templates keep the default .fsm-* classes.
+ */
+export const foundationTheme = {
+  container: "grid-x grid-margin-x",
+  containerDisabled: "fsm-disabled",
+  column: "cell auto flex-container flex-dir-column",
+  availableColumn: "fsm-available",
+  chosenColumn: "fsm-chosen",
+  label: "fsm-label",
+  filter: "",
+  select: "flex-child-grow",
+  listbox: "fsm-listbox flex-child-grow",
+  listboxOption: "fsm-option",
+  listboxOptionSelected: "fsm-option-selected",
+  listboxOptionActive: "fsm-option-active",
+  listboxOptionDisabled: "fsm-option-disabled",
+  listboxGroup: "fsm-group-label",
+  highlight: "fsm-highlight",
+  item: "fsm-item",
+  itemImage: "fsm-item-image",
+  itemText: "fsm-item-text",
+  itemLabel: "fsm-item-label",
+  itemSecondary: "fsm-item-secondary",
+  itemBadge: "label secondary",
+  listboxDropBefore: "fsm-drop-before",
+  listboxDropAfter: "fsm-drop-after",
+  dropTarget: "fsm-drop-target",
+  controls: "cell shrink flex-container flex-dir-column align-center",
+  button: "button small",
+  buttonAddAll: "hollow text-right",
+  buttonAddGroup: "hollow text-right",
+  buttonAddSelected: "text-right",
+  buttonRemoveSelected: "text-left",
+  buttonRemoveGroup: "hollow text-left",
+  buttonRemoveAll: "hollow text-left",
+  reorderControls: "cell shrink flex-container flex-dir-column align-center",
+  buttonMoveTop: "secondary hollow text-left",
+  buttonMoveUp: "secondary hollow text-left",
+  buttonMoveDown: "secondary hollow text-left",
+  buttonMoveBottom: "secondary hollow text-left",
+  buttonDisabled: "disabled",
+  counter: "fsm-counter",
+  feedback: "form-error is-visible",
+  liveRegion: "show-for-sr",
+};
+
+/**
+ * Pico CSS 2 theme preset. Pico styles elements rather than classes, so this
+ * keeps the default layout and maps the --fsm-* variables to Pico's own
+ * (see .fsm-pico in styles.js), including its dark mode.
+ */
+export const picoTheme = {
+  container: "filtered-select-multiple fsm-pico",
+  containerDisabled: "fsm-disabled",
+  column: "fsm-column",
+  availableColumn: "fsm-available",
+  chosenColumn: "fsm-chosen",
+  label: "fsm-label",
+  filter: "fsm-pico-filter",
+  select: "fsm-pico-select",
+  listbox: "fsm-listbox",
+  listboxOption: "fsm-option",
+  listboxOptionSelected: "fsm-option-selected",
+  listboxOptionActive: "fsm-option-active",
+  listboxOptionDisabled: "fsm-option-disabled",
+  listboxGroup: "fsm-group-label",
+  highlight: "fsm-highlight",
+  item: "fsm-item",
+  itemImage: "fsm-item-image",
+  itemText: "fsm-item-text",
+  itemLabel: "fsm-item-label",
+  itemSecondary: "fsm-item-secondary",
+  itemBadge: "fsm-item-badge",
+  listboxDropBefore: "fsm-drop-before",
+  listboxDropAfter: "fsm-drop-after",
+  dropTarget: "fsm-drop-target",
+  controls: "fsm-controls",
+  button: "fsm-pico-button",
+  buttonAddAll: "outline fsm-add-all",
+  buttonAddGroup: "secondary outline fsm-add-group",
+  buttonAddSelected: "fsm-add-selected",
+  buttonRemoveSelected: "fsm-remove-selected",
+  buttonRemoveGroup: "secondary outline fsm-remove-group",
+  buttonRemoveAll: "outline fsm-remove-all",
+  reorderControls: "fsm-controls",
+  buttonMoveTop: "secondary outline fsm-move-top",
+  buttonMoveUp: "secondary outline fsm-move-up",
+  buttonMoveDown: "secondary outline fsm-move-down",
+  buttonMoveBottom: "secondary outline fsm-move-bottom",
+  buttonDisabled: "",
+  counter: "fsm-counter",
+  feedback: "fsm-feedback",
+  liveRegion: "fsm-sr-only",
+};
+
+/**
+ * Look-alike of the Django admin `filter_horizontal` widget: header bars
+ * above the lists, round arrow buttons and "Choose all" / "Remove all"
+ * links. Styled by the default CSS (.fsm-django-*); on admin pages it picks
+ * up the admin's color variables, including its dark mode. Pair it with
+ * `text: { addAll: "Choose all", ... }` for the admin wording.
+ */
+export const djangoAdminTheme = {
+  container: "fsm-django-selector",
+  containerDisabled: "fsm-disabled",
+  column: "fsm-django-column",
+  availableColumn: "fsm-django-available",
+  chosenColumn: "fsm-django-chosen",
+  label: "fsm-django-label",
+  filter: "fsm-django-filter",
+  select: "fsm-django-select",
+  listbox: "fsm-django-select fsm-listbox",
+  listboxOption: "fsm-option",
+  listboxOptionSelected: "fsm-option-selected",
+  listboxOptionActive: "fsm-option-active",
+  listboxOptionDisabled: "fsm-option-disabled",
+  listboxGroup: "fsm-group-label",
+  highlight: "fsm-highlight",
+  item: "fsm-item",
+  itemImage: "fsm-item-image",
+  itemText: "fsm-item-text",
+  itemLabel: "fsm-item-label",
+  itemSecondary: "fsm-item-secondary",
+  itemBadge: "fsm-item-badge",
+  listboxDropBefore: "fsm-drop-before",
+  listboxDropAfter: "fsm-drop-after",
+  dropTarget: "fsm-drop-target",
+  controls: "fsm-django-chooser",
+  button: "fsm-django-button",
+  buttonAddAll: "fsm-django-link",
+  buttonAddGroup: "fsm-django-arrow",
+  buttonAddSelected: "fsm-django-arrow",
+  buttonRemoveSelected: "fsm-django-arrow",
+  buttonRemoveGroup: "fsm-django-arrow",
+  buttonRemoveAll: "fsm-django-link",
+  reorderControls: "fsm-django-chooser",
+  buttonMoveTop: "fsm-django-arrow",
+  buttonMoveUp: "fsm-django-arrow",
+  buttonMoveDown: "fsm-django-arrow",
+  buttonMoveBottom: "fsm-django-arrow",
+  buttonDisabled: "",
+  counter: "fsm-counter",
+  feedback: "fsm-feedback",
+  liveRegion: "fsm-sr-only",
+};
+
+/**
+ * Presets by name, for declarative setups (the `theme` attribute of
+ * `<filtered-select-multiple>`). Register custom themes here to make them
+ * available by name.
+ */
+export const themes = {
+  default: defaultTheme,
+  bootstrap5: bootstrap5Theme,
+  daisyUI: daisyUITheme,
+  tailwind: tailwindTheme,
+  bulma: bulmaTheme,
+  foundation: foundationTheme,
+  pico: picoTheme,
+  djangoAdmin: djangoAdminTheme,
+};
+
+/**
+ * Build a theme from a preset and overrides, e.g. Bootstrap with different
+ * buttons:
+ *
+ *   createTheme(bootstrap5Theme, { buttonAddSelected: "btn-success" }, { mode: "append" });
+ *
+ * Keys missing from `base` are filled from defaultTheme. Unknown keys (typos
+ * like `buttonAddSelcted`) are kept but warned about, unless the bundle is
+ * built for production.
+ * @param {object|string} [base=defaultTheme] - A theme, or the name of one in `themes`.
+ * @param {object} [overrides]
+ * @param {object} [config]
+ * @param {"replace"|"append"} [config.mode="replace"] - Replace the classes
+ *   of `base`, or add the override classes to them.
+ * @returns {object}
+ */
+export function createTheme(base = defaultTheme, overrides = {}, { mode = "replace" } = {}) {
+  if (mode !== "replace" && mode !== "append") {
+    throw new Error(`createTheme: unknown mode "${mode}", expected "replace" or "append"`);
+  }
+  if (typeof base === "string") {
+    const name = Object.keys(themes).find((key) => key.toLowerCase() === base.toLowerCase());
+    if (!name) throw new Error(`createTheme: unknown theme "${base}"`);
+    base = themes[name];
+  }
+
+  const theme = { ...defaultTheme, ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!(key in defaultTheme)) warnUnknownKey(key);
+    theme[key] = mode === "append"
+      ? [...new Set([...splitClasses(theme[key]), ...splitClasses(value)])].join(" ")
+      : value;
+  });
+  return theme;
+}
+
+/** The class names of a theme value, without empty entries. */
+export function splitClasses(value) {
+  return (value || "").split(/\s+/).filter(Boolean);
+}
+
+function warnUnknownKey(key) {
+  if (isProduction()) return;
+  console.warn(`FilteredSelectMultiple: unknown theme key "${key}"`);
+}
+
+/** Bundlers replace `process.env.NODE_ENV`; loaded without one, warnings stay on. */
+function isProduction() {
+  try {
+    return process.env.NODE_ENV === "production";
+  } catch {
+    return false;
+  }
+}
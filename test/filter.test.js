@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createMatcher,
+  editDistanceAtMostOne,
+  fuzzyScore,
+  matchRanges,
+  normalizeText,
+} from "../src/filter.js";
+
+test("normalizeText lower-cases and folds diacritics", () => {
+  assert.equal(normalizeText("Crème Brûlée"), "creme brulee");
+  assert.equal(normalizeText("Mu\u0308ller"), "muller");
+  assert.equal(normalizeText("Crème", false), "crème");
+});
+
+test("createMatcher folds diacritics only when asked", () => {
+  const label = normalizeText("Crème", false);
+  assert.equal(createMatcher("creme", { mode: "contains", fold: true })({ label: normalizeText(label), group: "" }), 1);
+  assert.equal(createMatcher("creme", { mode: "contains", fold: false })({ label, group: "" }), 0);
+});
+
+test("fuzzyScore ranks substrings over subsequences over typos", () => {
+  const substring = fuzzyScore("ple", "apple");
+  const subsequence = fuzzyScore("apl", "apple");
+  const typo = fuzzyScore("berlni", "berlin");
+  assert.ok(substring > subsequence);
+  assert.ok(subsequence > typo);
+  assert.ok(typo > 0);
+  assert.equal(fuzzyScore("xyz", "apple"), 0);
+});
+
+test("fuzzyScore prefers matches at word starts", () => {
+  assert.ok(fuzzyScore("app", "apple") > fuzzyScore("ple", "apple"));
+  assert.ok(fuzzyScore("pie", "apple pie") > fuzzyScore("ppl", "apple pie"));
+});
+
+test("fuzzyScore handles empty input", () => {
+  assert.equal(fuzzyScore("", "apple"), 1);
+  assert.equal(fuzzyScore("apple", ""), 0);
+});
+
+test("fuzzyScore tolerates one typo only for needles of four or more characters", () => {
+  assert.ok(fuzzyScore("brelin", "berlin") > 0);
+  assert.ok(fuzzyScore("bxrlxn", "berlin") === 0);
+  assert.equal(fuzzyScore("bxr", "berlin"), 0);
+});
+
+test("editDistanceAtMostOne accepts one edit", () => {
+  assert.equal(editDistanceAtMostOne("berlin", "berlin"), true);
+  assert.equal(editDistanceAtMostOne("berlin", "bexlin"), true);
+  assert.equal(editDistanceAtMostOne("berlin", "berln"), true);
+  assert.equal(editDistanceAtMostOne("berln", "berlin"), true);
+  assert.equal(editDistanceAtMostOne("berlin", "brelin"), true);
+});
+
+test("editDistanceAtMostOne rejects two or more edits", () => {
+  assert.equal(editDistanceAtMostOne("berlin", "bxrlxn"), false);
+  assert.equal(editDistanceAtMostOne("berlin", "berl"), false);
+  assert.equal(editDistanceAtMostOne("berlin", "rbelni"), false);
+});
+
+test("matchRanges finds every occurrence", () => {
+  assert.deepEqual(matchRanges("Red apple, green apple", "apple", { mode: "contains", fold: true }), [[4, 9], [17, 22]]);
+  assert.deepEqual(matchRanges("Apple", "", { mode: "contains", fold: true }), []);
+});
+
+test("matchRanges maps folded matches back to the original text", () => {
+  assert.deepEqual(matchRanges("Müller", "mul", { mode: "contains", fold: true }), [[0, 3]]);
+  // The combining mark belongs to the preceding "u"
+  assert.deepEqual(matchRanges("Mu\u0308ller", "mul", { mode: "contains", fold: true }), [[0, 4]]);
+  assert.deepEqual(matchRanges("Müller", "mul", { mode: "contains", fold: false }), []);
+});
+
+test("matchRanges follows the filter mode", () => {
+  assert.deepEqual(matchRanges("Apple", "ap", { mode: "startsWith", fold: true }), [[0, 2]]);
+  assert.deepEqual(matchRanges("Apple", "pl", { mode: "startsWith", fold: true }), []);
+  assert.deepEqual(matchRanges("Apple", "apl", { mode: "fuzzy", fold: true }), [[0, 2], [3, 4]]);
+  assert.deepEqual(matchRanges("a1b22", "\\d+", { mode: "regex", fold: true }), [[1, 2], [3, 5]]);
+  // Invalid patterns match literally
+  assert.deepEqual(matchRanges("a(b", "(", { mode: "regex", fold: true }), [[1, 2]]);
+});
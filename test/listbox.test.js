@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+import { Listbox } from "../src/listbox.js";
+
+const { window } = new JSDOM("<!doctype html><body></body>");
+globalThis.requestAnimationFrame = window.requestAnimationFrame ?? ((callback) => setTimeout(callback, 0));
+globalThis.cancelAnimationFrame = window.cancelAnimationFrame ?? clearTimeout;
+
+function createListbox(labels) {
+  const listbox = new Listbox(window.document, { size: 5, classes: {} });
+  window.document.body.appendChild(listbox.el);
+  listbox.setEntries(labels.map((label) => ({ type: "option", key: label, label, disabled: false })));
+  const controller = new window.AbortController();
+  listbox.listen(controller.signal);
+  return { listbox, close: () => controller.abort() };
+}
+
+function press(listbox, key) {
+  const event = new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true });
+  listbox.el.dispatchEvent(event);
+  return event;
+}
+
+test("typeahead moves to the first label starting with the typed text", () => {
+  const { listbox, close } = createListbox(["Apple", "Banana", "Blueberry", "Cherry"]);
+  press(listbox, "b");
+  assert.equal(listbox.activeKey, "Banana");
+  press(listbox, "l");
+  assert.equal(listbox.activeKey, "Blueberry");
+  close();
+});
+
+test("Space continues a search while typing", (t) => {
+  let now = 1000;
+  t.mock.method(Date, "now", () => now);
+  const { listbox, close } = createListbox(["New", "New York", "Newark"]);
+  for (const key of "new") press(listbox, key);
+  now += 100;
+  press(listbox, " ");
+  assert.equal(listbox.activeKey, "New York");
+  close();
+});
+
+test("Space selects the active option once the search has timed out", (t) => {
+  let now = 1000;
+  t.mock.method(Date, "now", () => now);
+  const { listbox, close } = createListbox(["Apple", "Banana", "Cherry"]);
+  press(listbox, "b");
+  listbox.setSelectedKeys([]);
+  now += 1000;
+
+  const first = press(listbox, " ");
+  assert.equal(first.defaultPrevented, true);
+  assert.deepEqual(listbox.getSelectedKeys(), ["Banana"]);
+
+  listbox.setSelectedKeys([]);
+  now += 100;
+  const second = press(listbox, " ");
+  assert.equal(second.defaultPrevented, true);
+  assert.deepEqual(listbox.getSelectedKeys(), ["Banana"]);
+  close();
+});